@@ -0,0 +1,232 @@
+// client/codec.js
+// Compact binary wire format, shared by the browser client and the Node
+// server / test tools. A connection uses it when both sides agree on the
+// `game.binary.v1` WebSocket subprotocol; otherwise messages stay JSON text.
+//
+// Every binary frame starts with a one-byte tag. Hot messages (counter,
+// leaderboard deltas, rank, clicks and their acks) have a packed layout;
+// anything else, or a hot message with unexpected fields, goes out as
+// tag 0 followed by its JSON in UTF-8, so encoding never loses data.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.GameCodec = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    const SUBPROTOCOLS = {
+        binary: 'game.binary.v1',
+        json: 'game.json.v1'
+    };
+
+    const JSON_TAG = 0;
+
+    // Leaderboard entries, as sent in `leaderboardDelta` and `rank`
+    const ENTRY_FIELDS = [['playerId', 'string'], ['username', 'string'], ['score', 'f64'], ['rank', 'u32']];
+
+    // [tag, message type, [[field, kind], ...]]
+    const LAYOUTS = [
+        [1, 'totalCounter', [['total', 'f64']]],
+        [2, 'leaderboardDelta', [['updated', 'entries'], ['removed', 'strings'], ['totalPlayers', 'u32']]],
+        [3, 'rank', [['rank', 'u32'], ['score', 'f64'], ['totalPlayers', 'u32'], ['neighbors', 'entries']]],
+        [4, 'increment', [['requestId', 'requestId']]],
+        [5, 'ack', [
+            ['requestId', 'requestId'], ['requestType', 'string'], ['outcome', 'string'],
+            ['increment', 'f64'], ['multiplier', 'f64'], ['score', 'f64'], ['total', 'f64'], ['serverTime', 'f64']
+        ]]
+    ].map(([tag, type, fields]) => ({ tag, type, fields }));
+
+    const layoutsByTag = new Map(LAYOUTS.map(layout => [layout.tag, layout]));
+
+    const textEncoder = new TextEncoder();
+    const textDecoder = new TextDecoder();
+
+    // ---------------------------
+    // Field kinds
+    // ---------------------------
+    const isU32 = value => Number.isInteger(value) && value >= 0 && value <= 0xffffffff;
+    const isShortString = value => typeof value === 'string' && value.length <= 0x3fff; // fits u16 bytes as UTF-8
+
+    function hasExactly(object, fields) {
+        if (object === null || typeof object !== 'object' || Array.isArray(object)) return false;
+        const keys = Object.keys(object);
+        return keys.length === fields.length && fields.every(([name, kind]) => fits(kind, object[name]));
+    }
+
+    function fits(kind, value) {
+        switch (kind) {
+            case 'f64': return typeof value === 'number';
+            case 'u32': return isU32(value);
+            case 'string': return isShortString(value);
+            case 'requestId': return value === null || typeof value === 'number' || isShortString(value);
+            case 'strings': return Array.isArray(value) && value.length <= 0xffff && value.every(isShortString);
+            case 'entries': return Array.isArray(value) && value.length <= 0xffff && value.every(entry => hasExactly(entry, ENTRY_FIELDS));
+            default: return false;
+        }
+    }
+
+    // ---------------------------
+    // Writer / reader
+    // ---------------------------
+    class Writer {
+        constructor() {
+            this.bytes = new Uint8Array(64);
+            this.view = new DataView(this.bytes.buffer);
+            this.length = 0;
+        }
+
+        reserve(size) {
+            if (this.length + size <= this.bytes.length) return;
+            const bytes = new Uint8Array(Math.max(this.bytes.length * 2, this.length + size));
+            bytes.set(this.bytes);
+            this.bytes = bytes;
+            this.view = new DataView(bytes.buffer);
+        }
+
+        u8(value) { this.reserve(1); this.view.setUint8(this.length, value); this.length += 1; }
+        u16(value) { this.reserve(2); this.view.setUint16(this.length, value); this.length += 2; }
+        u32(value) { this.reserve(4); this.view.setUint32(this.length, value); this.length += 4; }
+        f64(value) { this.reserve(8); this.view.setFloat64(this.length, value); this.length += 8; }
+
+        raw(bytes) {
+            this.reserve(bytes.length);
+            this.bytes.set(bytes, this.length);
+            this.length += bytes.length;
+        }
+
+        string(value) {
+            const bytes = textEncoder.encode(value);
+            this.u16(bytes.length);
+            this.raw(bytes);
+        }
+
+        finish() {
+            return this.bytes.subarray(0, this.length);
+        }
+    }
+
+    class Reader {
+        constructor(bytes) {
+            this.bytes = bytes;
+            this.view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+            this.offset = 0;
+        }
+
+        // DataView throws a RangeError on truncated frames
+        u8() { const value = this.view.getUint8(this.offset); this.offset += 1; return value; }
+        u16() { const value = this.view.getUint16(this.offset); this.offset += 2; return value; }
+        u32() { const value = this.view.getUint32(this.offset); this.offset += 4; return value; }
+        f64() { const value = this.view.getFloat64(this.offset); this.offset += 8; return value; }
+
+        raw(length) {
+            if (this.offset + length > this.bytes.length) throw new RangeError('Frame is truncated');
+            const bytes = this.bytes.subarray(this.offset, this.offset + length);
+            this.offset += length;
+            return bytes;
+        }
+
+        string() {
+            return textDecoder.decode(this.raw(this.u16()));
+        }
+
+        rest() {
+            return this.raw(this.bytes.length - this.offset);
+        }
+    }
+
+    // ---------------------------
+    // Fields
+    // ---------------------------
+    const REQUEST_ID = { null: 0, number: 1, string: 2 };
+
+    function writeField(writer, kind, value) {
+        switch (kind) {
+            case 'f64': writer.f64(value); break;
+            case 'u32': writer.u32(value); break;
+            case 'string': writer.string(value); break;
+            case 'requestId':
+                if (value === null) {
+                    writer.u8(REQUEST_ID.null);
+                } else if (typeof value === 'number') {
+                    writer.u8(REQUEST_ID.number);
+                    writer.f64(value);
+                } else {
+                    writer.u8(REQUEST_ID.string);
+                    writer.string(value);
+                }
+                break;
+            case 'strings':
+                writer.u16(value.length);
+                value.forEach(item => writer.string(item));
+                break;
+            case 'entries':
+                writer.u16(value.length);
+                value.forEach(entry => ENTRY_FIELDS.forEach(([name, entryKind]) => writeField(writer, entryKind, entry[name])));
+                break;
+        }
+    }
+
+    function readField(reader, kind) {
+        switch (kind) {
+            case 'f64': return reader.f64();
+            case 'u32': return reader.u32();
+            case 'string': return reader.string();
+            case 'requestId': {
+                const idKind = reader.u8();
+                if (idKind === REQUEST_ID.null) return null;
+                if (idKind === REQUEST_ID.number) return reader.f64();
+                if (idKind === REQUEST_ID.string) return reader.string();
+                throw new Error(`Unknown requestId kind ${idKind}`);
+            }
+            case 'strings':
+                return Array.from({ length: reader.u16() }, () => reader.string());
+            case 'entries':
+                return Array.from({ length: reader.u16() }, () => readObject(reader, ENTRY_FIELDS, {}));
+        }
+    }
+
+    function readObject(reader, fields, object) {
+        fields.forEach(([name, kind]) => { object[name] = readField(reader, kind); });
+        return object;
+    }
+
+    // ---------------------------
+    // Public API
+    // ---------------------------
+    // Message object -> Uint8Array
+    function encode(message) {
+        const writer = new Writer();
+        const layout = LAYOUTS.find(candidate =>
+            candidate.type === message.type &&
+            Object.keys(message).length === candidate.fields.length + 1 &&
+            candidate.fields.every(([name, kind]) => fits(kind, message[name]))
+        );
+
+        if (layout) {
+            writer.u8(layout.tag);
+            layout.fields.forEach(([name, kind]) => writeField(writer, kind, message[name]));
+        } else {
+            writer.u8(JSON_TAG);
+            writer.raw(textEncoder.encode(JSON.stringify(message)));
+        }
+        return writer.finish();
+    }
+
+    // Uint8Array / Buffer / ArrayBuffer -> message object.
+    // Throws on frames that can't be decoded.
+    function decode(data) {
+        const bytes = data instanceof ArrayBuffer ? new Uint8Array(data) : data;
+        const reader = new Reader(bytes);
+        const tag = reader.u8();
+
+        if (tag === JSON_TAG) return JSON.parse(textDecoder.decode(reader.rest()));
+
+        const layout = layoutsByTag.get(tag);
+        if (!layout) throw new Error(`Unknown message tag ${tag}`);
+        const message = readObject(reader, layout.fields, { type: layout.type });
+        if (reader.offset !== bytes.length) throw new Error('Trailing bytes after message');
+        return message;
+    }
+
+    return { SUBPROTOCOLS, encode, decode };
+});
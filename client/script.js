@@ -168,7 +168,40 @@
 
 
 // Optimized client script with better latency handling
-const ws = new WebSocket('wss://real-time-multi-client-engine.onrender.com:8080');
+// Server URL: ?server=wss://host:port, then an injected
+// window.GAME_CONFIG = { serverUrl } script, then the host serving this page
+function resolveServerUrl() {
+    const fromQuery = new URLSearchParams(location.search).get('server');
+    if (fromQuery) return fromQuery;
+    if (window.GAME_CONFIG && window.GAME_CONFIG.serverUrl) return window.GAME_CONFIG.serverUrl;
+    if (location.protocol === 'https:') return `wss://${location.host}`;
+    if (location.protocol === 'http:') return `ws://${location.host}`;
+    return 'ws://localhost:8080';
+}
+
+const SERVER_URL = resolveServerUrl();
+const PROTOCOL_VERSION = 1;
+const RECONNECT_BASE_DELAY = 1000;  // doubles per failed attempt
+const RECONNECT_MAX_DELAY = 30000;
+let ws = null;
+let reconnectAttempts = 0;
+
+// Wire format: binary frames when codec.js is loaded (window.GameCodec),
+// unless ?encoding=json; the server confirms with the chosen subprotocol
+const codec = window.GameCodec;
+const OFFERED_SUBPROTOCOLS = codec && new URLSearchParams(location.search).get('encoding') !== 'json'
+    ? [codec.SUBPROTOCOLS.binary, codec.SUBPROTOCOLS.json]
+    : undefined;
+let useBinary = false;
+
+// Session resume (per tab, survives reloads and network blips)
+let resumeToken = sessionStorage.getItem('resumeToken');
+let joinedUsername = sessionStorage.getItem('username');
+let joinedRoom = sessionStorage.getItem('room');
+let freshResumeToken = null;
+
+// Game settings - replaced by the server's `gameConfig` message
+let gameConfig = { counterGoal: 10000, cooldown: 500, powerUpCosts: {} };
 
 // Game state
 let playerId = null;
@@ -185,11 +218,14 @@ let powerUps = {
 };
 
 // Performance optimizations
-let pendingRequests = new Map();
-let lastLeaderboardHash = '';
+const leaderboardEntries = new Map(); // top-N by playerId, kept up to date by deltas
+let playerNeighbors = [];
 let animationFrame = null;
 
-// Demo hack
+// Current round - null when the server runs one endless game
+let round = null;
+
+// Unlimited clicking, only when the server grants a demo/admin role
 let isDemoMode = false;
 
 // Heat system with optimized updates
@@ -199,8 +235,7 @@ const HEAT_INCREMENT = 15;
 const HEAT_DECAY = 1;
 const HEAT_DECAY_DELAY = 800;
 
-// Latency tracking
-let latencyHistory = [];
+// Round trip to the server, measured by its heartbeat (`latency` messages)
 let currentLatency = 0;
 
 // DOM elements (cached)
@@ -221,6 +256,7 @@ const streakEl = document.getElementById('streak');
 const multiplierDisplay = document.getElementById('multiplierDisplay');
 const buttonText = document.getElementById('buttonText');
 const heatOverlay = document.getElementById('heatOverlay');
+const roomSelect = document.getElementById('roomSelect');
 
 // Optimized particle system with pooling
 const particlePool = [];
@@ -291,42 +327,49 @@ function createParticleExplosion(x, y) {
     }
 }
 
-// Optimized leaderboard update with diffing
-function updateLeaderboard(leaderboard) {
-    const newHash = JSON.stringify(leaderboard);
-    if (newHash === lastLeaderboardHash) return; // Skip if no changes
-    lastLeaderboardHash = newHash;
-    
-    // Clear and rebuild (could be further optimized with virtual DOM)
-    leaderboardEl.innerHTML = '';
-    
-    leaderboard.forEach((player, idx) => {
-        const li = document.createElement('li');
-        li.className = 'leaderboard-item';
-        
-        if (idx === 0) li.classList.add('top');
-        else if (idx === 1) li.classList.add('second');
-        else if (idx === 2) li.classList.add('third');
-
-        if (player.username === usernameInput.value) {
-            li.classList.add('current-player');
-            // Update player data
-            playerData.score = player.score;
-            playerData.rank = idx + 1;
-            playerScoreEl.textContent = player.score.toLocaleString();
-            playerRankEl.textContent = `#${idx + 1}`;
-            checkAchievements();
-        }
+// Leaderboard rendering: the top-N, plus the players around us when
+// we're not in it
+function leaderboardItem(entry) {
+    const li = document.createElement('li');
+    li.className = 'leaderboard-item';
+
+    if (entry.rank === 1) li.classList.add('top');
+    else if (entry.rank === 2) li.classList.add('second');
+    else if (entry.rank === 3) li.classList.add('third');
+
+    const isCurrentPlayer = entry.playerId === playerId;
+    if (isCurrentPlayer) li.classList.add('current-player');
+
+    // Names are player-chosen, so they only ever go in as text
+    const info = document.createElement('div');
+    info.style.cssText = 'display: flex; align-items: center; min-width: 0;';
+    const rank = document.createElement('div');
+    rank.className = 'rank';
+    rank.textContent = entry.rank;
+    const name = document.createElement('span');
+    name.className = 'player-name';
+    name.textContent = `${entry.username}${isCurrentPlayer ? ' (You)' : ''}`;
+    info.append(rank, name);
+
+    const score = document.createElement('span');
+    score.className = 'player-score';
+    score.textContent = entry.score.toLocaleString();
+    li.append(info, score);
+    return li;
+}
 
-        li.innerHTML = `
-            <div style="display: flex; align-items: center; min-width: 0;">
-                <div class="rank">${idx + 1}</div>
-                <span class="player-name">${player.username}${player.username === usernameInput.value ? ' (You)' : ''}</span>
-            </div>
-            <span class="player-score">${player.score.toLocaleString()}</span>
-        `;
-        leaderboardEl.appendChild(li);
-    });
+function renderLeaderboard() {
+    const top = Array.from(leaderboardEntries.values()).sort((a, b) => a.rank - b.rank);
+    leaderboardEl.innerHTML = '';
+    top.forEach(entry => leaderboardEl.appendChild(leaderboardItem(entry)));
+
+    // Outside the top-N: show our own neighborhood below it
+    if (!leaderboardEntries.has(playerId)) {
+        const lastTopRank = top.length > 0 ? top[top.length - 1].rank : 0;
+        playerNeighbors
+            .filter(entry => entry.rank > lastTopRank)
+            .forEach(entry => leaderboardEl.appendChild(leaderboardItem(entry)));
+    }
     
     // Auto-scroll with throttling
     if (!animationFrame) {
@@ -337,25 +380,23 @@ function updateLeaderboard(leaderboard) {
     }
 }
 
-// Optimized click handler with proper latency measurement
+// Optimized click handler
 incrementBtn.addEventListener('click', (e) => {
+    // Clicks only count while a round is running
+    if (round && round.phase !== 'active') return;
+
     // Demo mode bypasses all restrictions
     if (!isDemoMode && (!canClick && !powerUps.rapidFire.active)) {
         return;
     }
 
     const requestId = Date.now() + Math.random();
-    const sendTime = Date.now();
-    
-    // Store request for latency measurement
-    pendingRequests.set(requestId, sendTime);
 
     // Send increment with request ID
-    ws.send(JSON.stringify({ 
+    sendMessage({ 
         type: 'increment',
-        requestId: requestId,
-        demoMode: isDemoMode 
-    }));
+        requestId: requestId
+    });
 
     // Immediate UI feedback (optimistic updates)
     playClickSound();
@@ -387,62 +428,149 @@ incrementBtn.addEventListener('click', (e) => {
             incrementBtn.style.transform = 'scale(1)';
         }, adaptiveCooldown);
     }
-
-    // Clean up old pending requests (prevent memory leaks)
-    setTimeout(() => {
-        pendingRequests.delete(requestId);
-    }, 5000);
 });
 
-// Enhanced WebSocket message handling with latency tracking
-ws.onmessage = (event) => {
-    const receiveTime = Date.now();
-    
+// Send helper - messages are dropped while reconnecting
+function sendMessage(data) {
+    if (ws && ws.readyState === WebSocket.OPEN) {
+        ws.send(useBinary ? codec.encode(data) : JSON.stringify(data));
+    }
+}
+
+function saveSession(token, username, room) {
+    resumeToken = token;
+    joinedUsername = username;
+    joinedRoom = room;
+    sessionStorage.setItem('resumeToken', token);
+    sessionStorage.setItem('username', username);
+    sessionStorage.setItem('room', room);
+}
+
+// Room picker - option text is set with textContent via new Option()
+function renderRooms(rooms, defaultRoom) {
+    const selected = roomSelect.value || joinedRoom || defaultRoom;
+    roomSelect.innerHTML = '';
+    rooms.forEach(room => {
+        const label = `${room.name} (${room.players} playing)`;
+        roomSelect.appendChild(new Option(label, room.name, false, room.name === selected));
+    });
+}
+
+function enterGame() {
+    loginDiv.style.display = 'none';
+    gameDiv.style.display = 'block';
+}
+
+// WebSocket message handling
+function handleMessage(event) {
     try {
-        const data = JSON.parse(event.data);
-
-        // Track latency for increment responses
-        if (data.type === 'totalCounter' && data.requestId) {
-            const sendTime = pendingRequests.get(data.requestId);
-            if (sendTime) {
-                const latency = receiveTime - sendTime;
-                latencyHistory.push(latency);
-                
-                // Keep only recent latency measurements
-                if (latencyHistory.length > 10) {
-                    latencyHistory.shift();
-                }
-                
-                // Calculate average latency
-                currentLatency = latencyHistory.reduce((a, b) => a + b, 0) / latencyHistory.length;
-                
-                pendingRequests.delete(data.requestId);
-                
-                // Display latency for debugging
-                console.log(`Latency: ${latency}ms (avg: ${currentLatency.toFixed(1)}ms)`);
-            }
-        }
+        const data = typeof event.data === 'string' ? JSON.parse(event.data) : codec.decode(event.data);
 
         switch (data.type) {
             case 'assignId':
                 playerId = data.playerId;
+                freshResumeToken = data.resumeToken;
+
+                // Already joined on an earlier connection - reclaim that player
+                if (joinedUsername && resumeToken) {
+                    sendMessage({ type: 'resume', resumeToken });
+                } else {
+                    sendMessage({ type: 'listRooms' });
+                }
+                break;
+
+            case 'rooms':
+                renderRooms(data.rooms, data.defaultRoom);
+                break;
+
+            case 'resumed':
+                playerId = data.playerId;
+                usernameInput.value = data.username;
+                saveSession(resumeToken, data.username, data.room);
+                playerData.score = data.score;
+                playerScoreEl.textContent = data.score.toLocaleString();
+
+                Object.keys(powerUps).forEach(key => {
+                    const remaining = data.powerUps[key];
+                    powerUps[key].active = remaining > 0;
+                    powerUps[key].endTime = remaining > 0 ? Date.now() + remaining : 0;
+                });
+
+                enterGame();
+                break;
+
+            case 'error':
+                console.warn(`Server rejected ${data.requestType || 'message'}: [${data.code}] ${data.message}`);
+                break;
+
+            case 'gameConfig':
+                gameConfig = data;
+                break;
+
+            case 'role':
+                isDemoMode = data.privileges.noCooldown;
+                break;
+
+            case 'resumeFailed':
+                // Session expired on the server - rejoin under the same name
+                saveSession(freshResumeToken, joinedUsername, joinedRoom);
+                sendMessage({ type: 'register', username: joinedUsername, room: joinedRoom || undefined });
+                enterGame();
                 break;
 
             case 'totalCounter':
                 animateCounter(totalCounterEl, data.total);
-                const progress = Math.min(100, (data.total / 10000) * 100);
+                const progress = Math.min(100, (data.total / gameConfig.counterGoal) * 100);
                 progressBar.style.width = progress + '%';
-                progressText.textContent = `${data.total.toLocaleString()} / 10,000`;
+                progressText.textContent = `${data.total.toLocaleString()} / ${gameConfig.counterGoal.toLocaleString()}`;
                 break;
 
             case 'leaderboard':
-                updateLeaderboard(data.leaderboard);
+                // Full top-N on join; deltas follow
+                leaderboardEntries.clear();
+                data.leaderboard.forEach(entry => leaderboardEntries.set(entry.playerId, entry));
+                renderLeaderboard();
+                break;
+
+            case 'leaderboardDelta':
+                data.removed.forEach(id => leaderboardEntries.delete(id));
+                data.updated.forEach(entry => leaderboardEntries.set(entry.playerId, entry));
+                renderLeaderboard();
+                break;
+
+            case 'rank':
+                playerData.score = data.score;
+                playerData.rank = data.rank;
+                playerNeighbors = data.neighbors;
+                playerScoreEl.textContent = data.score.toLocaleString();
+                playerRankEl.textContent = `#${data.rank}`;
+                checkAchievements();
+                renderLeaderboard();
                 break;
 
             case 'taunt':
                 showTaunt(data.message);
                 break;
 
+            case 'roundState':
+                round = { number: data.round, phase: data.phase, endsAt: Date.now() + data.remaining };
+                break;
+
+            case 'roundEnded':
+                showTaunt(data.winner
+                    ? `🏆 ${data.winner.username} wins round ${data.round}!`
+                    : `Round ${data.round} over`);
+                break;
+
+            case 'latency':
+                currentLatency = data.rtt;
+                break;
+
+            case 'serverShutdown':
+                // The reconnect loop brings us back once the server is up again
+                showTaunt('🔄 Server restarting - back in a moment');
+                break;
+
             case 'rateLimited':
                 // Visual feedback for rate limiting
                 incrementBtn.style.background = 'linear-gradient(45deg, #ff4757, #ff3838)';
@@ -462,7 +590,7 @@ ws.onmessage = (event) => {
     } catch (err) {
         console.error('Error parsing message:', err);
     }
-};
+}
 
 // Optimized game loop with single requestAnimationFrame
 let lastUpdateTime = 0;
@@ -485,19 +613,32 @@ function updateHeat() {
     }
 }
 
-// Connection state monitoring
-ws.addEventListener('open', () => {
-    console.log('✅ Connected to server');
-});
+// Connection with automatic reconnect (exponential backoff + jitter)
+function connect() {
+    ws = new WebSocket(SERVER_URL, OFFERED_SUBPROTOCOLS);
+    ws.binaryType = 'arraybuffer';
+    ws.onmessage = handleMessage;
+
+    ws.addEventListener('open', () => {
+        useBinary = Boolean(codec) && ws.protocol === codec.SUBPROTOCOLS.binary;
+        console.log(`✅ Connected to server (${useBinary ? 'binary' : 'JSON'} frames)`);
+        reconnectAttempts = 0;
+        sendMessage({ type: 'hello', version: PROTOCOL_VERSION });
+    });
 
-ws.addEventListener('close', () => {
-    console.log('❌ Disconnected from server');
-    // Could implement reconnection logic here
-});
+    ws.addEventListener('close', () => {
+        const delay = Math.min(RECONNECT_MAX_DELAY, RECONNECT_BASE_DELAY * 2 ** reconnectAttempts);
+        reconnectAttempts++;
+        console.log(`❌ Disconnected from server, reconnecting in ${Math.round(delay / 1000)}s`);
+        setTimeout(connect, delay + Math.random() * 500);
+    });
 
-ws.addEventListener('error', (error) => {
-    console.error('❌ WebSocket error:', error);
-});
+    ws.addEventListener('error', (error) => {
+        console.error('❌ WebSocket error:', error);
+    });
+}
+
+connect();
 
 // Start optimized game loop
 requestAnimationFrame(gameLoop);
@@ -0,0 +1,109 @@
+// server/achievements.js
+// Achievement rules, evaluated on the server against what actually
+// happened. Each entry names the game event it listens to and a check on
+// that event's context; a new achievement is a new entry here.
+//
+// Events and their ctx:
+//   increment - {score, streak, increment, recentClicks} after an accepted click
+//   powerUp   - {powerUp, events} after the player bought a power-up
+//   roundWon  - {round, score} when the player won a round
+//
+// Unlocks are kept per playerId, so they last as long as the player does:
+// through refreshes (resume) and room changes, but not past eviction. A
+// name taken over after its holder left starts with none. `announce: true`
+// tells the whole room.
+
+// Window `recentClicks` counts accepted clicks over
+const RECENT_CLICKS_WINDOW = 10000;
+
+const ACHIEVEMENTS = {
+  century: {
+    label: 'Century Club',
+    icon: '🎯',
+    description: 'Reach 100 points',
+    event: 'increment',
+    check: ctx => ctx.score >= 100
+  },
+  thousand: {
+    label: 'Space Cadet',
+    icon: '🚀',
+    description: 'Reach 1000 points',
+    event: 'increment',
+    announce: true,
+    check: ctx => ctx.score >= 1000
+  },
+  streaker: {
+    label: 'On Fire',
+    icon: '🔥',
+    description: '50 click streak',
+    event: 'increment',
+    check: ctx => ctx.streak >= 50
+  },
+  overheated: {
+    label: 'Overheated',
+    icon: '🌡️',
+    description: '15 clicks within 10 seconds',
+    event: 'increment',
+    check: ctx => ctx.recentClicks >= 15
+  },
+  pickpocket: {
+    label: 'Pickpocket',
+    icon: '🦝',
+    description: 'Steal points from the leader',
+    event: 'powerUp',
+    check: ctx => ctx.events.some(event => event.points > 0)
+  },
+  champion: {
+    label: 'Champion',
+    icon: '🏆',
+    description: 'Win a round',
+    event: 'roundWon',
+    announce: true,
+    check: () => true
+  }
+};
+
+// ---------------------------
+// Engine
+// ---------------------------
+// `registry` defaults to ACHIEVEMENTS
+class AchievementEngine {
+  constructor(store, registry = ACHIEVEMENTS) {
+    this.store = store;
+    this.registry = registry;
+  }
+
+  // What clients need to draw the list: [{id, label, icon, description}]
+  catalogue() {
+    return Object.entries(this.registry).map(([id, { label, icon, description }]) => ({ id, label, icon, description }));
+  }
+
+  // [{id, unlockedAt}] in unlock order
+  async unlocked(playerId) {
+    const unlocked = await this.store.getAchievements(playerId);
+    return Object.entries(unlocked)
+      .filter(([id]) => this.registry[id])
+      .map(([id, unlockedAt]) => ({ id, unlockedAt }))
+      .sort((a, b) => a.unlockedAt - b.unlockedAt);
+  }
+
+  // Checks every rule listening to `event` and stores the ones that pass
+  // for the first time. Returns what was just unlocked:
+  // [{id, label, icon, description, announce}]
+  async evaluate(playerId, event, ctx, now = Date.now()) {
+    const passed = Object.entries(this.registry).filter(([, rule]) => rule.event === event && rule.check(ctx));
+    if (passed.length === 0) return [];
+
+    const unlocked = await this.store.getAchievements(playerId);
+    const fresh = passed.filter(([id]) => !unlocked[id]);
+
+    // unlockAchievement only succeeds once, so concurrent clicks (or
+    // instances) never announce the same achievement twice
+    const results = await Promise.all(fresh.map(([id]) => this.store.unlockAchievement(playerId, id, now)));
+    return fresh
+      .filter((entry, i) => results[i])
+      .map(([id, { label, icon, description, announce }]) => ({ id, label, icon, description, announce: Boolean(announce) }));
+  }
+}
+
+module.exports = { ACHIEVEMENTS, AchievementEngine, RECENT_CLICKS_WINDOW };
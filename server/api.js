@@ -0,0 +1,196 @@
+// server/api.js
+// Read-only HTTP surface next to the WebSocket server, for dashboards,
+// uptime checks and tools that shouldn't need a socket:
+//   GET /health         - 200 while Redis is reachable, 503 otherwise
+//   GET /leaderboard    - a room's top players, or a historical board
+//   GET /stats          - room counter, connected players, messages/sec, statuses, round trips
+//   GET /players/:id    - one player's room, score, rank and status
+//   GET /players/:id/audit - the player's score changes (admin token only)
+//   GET /flags          - players flagged for scripted clicking (admin token only)
+//   GET /metrics        - Prometheus text format, see metrics.js
+// Any other GET is served from the client/ directory.
+
+const fs = require('fs');
+const path = require('path');
+const { BOARDS, PERIODS } = require('./history');
+const { CONTENT_TYPE: METRICS_CONTENT_TYPE } = require('./metrics');
+const { resolveRole } = require('./roles');
+
+const CONTENT_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.png': 'image/png',
+  '.svg': 'image/svg+xml',
+  '.ico': 'image/x-icon'
+};
+
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = 'HttpError';
+    this.status = status;
+  }
+}
+
+function sendJson(res, status, body) {
+  res.writeHead(status, { 'Content-Type': CONTENT_TYPES['.json'], 'Cache-Control': 'no-store' });
+  res.end(JSON.stringify(body));
+}
+
+// ?limit=, bounded so a request can't ask for the whole sorted set
+function parseLimit(value, fallback, max) {
+  if (value === null) return fallback;
+  const limit = Number(value);
+  if (!Number.isInteger(limit) || limit < 1 || limit > max) {
+    throw new HttpError(400, `limit must be an integer between 1 and ${max}`);
+  }
+  return limit;
+}
+
+// ---------------------------
+// Static files
+// ---------------------------
+function serveStatic(res, staticDir, pathname) {
+  const relative = pathname === '/' ? 'index.html' : decodeURIComponent(pathname).replace(/^\/+/, '');
+  const file = path.resolve(staticDir, relative);
+
+  // Nothing outside the static directory, however the path is spelled
+  if (!file.startsWith(path.resolve(staticDir) + path.sep)) throw new HttpError(404, 'Not found');
+
+  fs.readFile(file, (err, content) => {
+    if (err) {
+      sendJson(res, 404, { error: 'Not found' });
+      return;
+    }
+    res.writeHead(200, { 'Content-Type': CONTENT_TYPES[path.extname(file)] || 'application/octet-stream' });
+    res.end(content);
+  });
+}
+
+// ---------------------------
+// Routes
+// ---------------------------
+// deps: {store, config, staticDir, registry, logger, isHealthy(), getStats()}
+function createRequestHandler(deps) {
+  const { store, config, staticDir, logger } = deps;
+  const MAX_LIMIT = 100;
+
+  const roomParam = async query => {
+    const room = query.get('room') || config.rooms.defaultRoom;
+    if (!(await store.roomExists(room))) throw new HttpError(404, `No room named ${room}`);
+    return room;
+  };
+
+  // Audit trails and bot flags are for investigating disputes: `Authorization: Bearer <admin token>`
+  const requireAdmin = req => {
+    const [scheme, token] = (req.headers.authorization || '').split(' ');
+    if (scheme !== 'Bearer' || resolveRole(token, config.roleTokens) !== 'admin') {
+      throw new HttpError(401, 'Admin token required');
+    }
+  };
+
+  const routes = [
+    [/^\/health$/, async (req, res) => {
+      const healthy = deps.isHealthy();
+      sendJson(res, healthy ? 200 : 503, {
+        status: healthy ? 'ok' : 'unavailable',
+        uptime: Math.round(process.uptime())
+      });
+    }],
+
+    // ?room= for a room's live board, or ?period=&board= for a historical one
+    [/^\/leaderboard$/, async (req, res, query) => {
+      const limit = parseLimit(query.get('limit'), config.leaderboard.topN, MAX_LIMIT);
+      const period = query.get('period');
+
+      if (period) {
+        const board = query.get('board') || 'best';
+        if (!PERIODS[period]) throw new HttpError(400, `period must be one of ${Object.keys(PERIODS).join(', ')}`);
+        if (!BOARDS.includes(board)) throw new HttpError(400, `board must be one of ${BOARDS.join(', ')}`);
+        const { bucket, entries } = await store.getHistory(board, period, limit);
+        sendJson(res, 200, { board, period, bucket, leaderboard: entries });
+        return;
+      }
+
+      const room = await roomParam(query);
+      const [top, totalPlayers] = await Promise.all([store.getTopPlayers(room, limit), store.countPlayers(room)]);
+      sendJson(res, 200, {
+        room,
+        totalPlayers,
+        leaderboard: top.map((entry, i) => ({ ...entry, rank: i + 1 }))
+      });
+    }],
+
+    // Connection and message figures are this instance's own
+    [/^\/stats$/, async (req, res, query) => {
+      const room = await roomParam(query);
+      const [totalCounter, rooms] = await Promise.all([store.getTotalCounter(room), store.listRooms()]);
+      sendJson(res, 200, { room, totalCounter, rooms, ...deps.getStats() });
+    }],
+
+    [/^\/metrics$/, async (req, res) => {
+      res.writeHead(200, { 'Content-Type': METRICS_CONTENT_TYPE, 'Cache-Control': 'no-store' });
+      res.end(deps.registry.render());
+    }],
+
+    // ?limit= and ?before=<entry id> to page back through older entries
+    [/^\/players\/([^/]+)\/audit$/, async (req, res, query, playerId) => {
+      requireAdmin(req);
+      const limit = parseLimit(query.get('limit'), 50, 1000);
+      const before = query.get('before');
+      if (before !== null && !/^\d+-\d+$/.test(before)) throw new HttpError(400, 'before must be an audit entry id');
+
+      sendJson(res, 200, { playerId, entries: await store.getAudit(playerId, limit, before) });
+    }],
+
+    // Most recently flagged first, with the timing that gave them away
+    [/^\/flags$/, async (req, res, query) => {
+      requireAdmin(req);
+      const limit = parseLimit(query.get('limit'), 50, 1000);
+      sendJson(res, 200, { flags: await store.getFlags(limit) });
+    }],
+
+    [/^\/players\/([^/]+)$/, async (req, res, query, playerId) => {
+      const player = await store.getPlayer(playerId);
+      if (!player) throw new HttpError(404, `No player ${playerId}`);
+
+      sendJson(res, 200, {
+        playerId,
+        username: player.username,
+        room: player.room,
+        score: player.score,
+        rank: await store.getPlayerRank(playerId, player.room),
+        status: await store.getPlayerStatus(player.room, playerId)
+      });
+    }]
+  ];
+
+  return async (req, res) => {
+    try {
+      if (req.method !== 'GET' && req.method !== 'HEAD') throw new HttpError(405, 'Only GET is supported');
+
+      const url = new URL(req.url, 'http://localhost');
+      for (const [pattern, route] of routes) {
+        const match = url.pathname.match(pattern);
+        if (match) {
+          await route(req, res, url.searchParams, ...match.slice(1).map(decodeURIComponent));
+          return;
+        }
+      }
+      serveStatic(res, staticDir, url.pathname);
+    } catch (err) {
+      if (err instanceof HttpError) {
+        sendJson(res, err.status, { error: err.message });
+      } else if (err instanceof URIError) {
+        sendJson(res, 400, { error: 'Malformed URL' });
+      } else {
+        logger.error('Error handling HTTP request', { method: req.method, url: req.url, err });
+        sendJson(res, 500, { error: 'Server error' });
+      }
+    }
+  };
+}
+
+module.exports = { createRequestHandler, HttpError };
@@ -0,0 +1,78 @@
+// server/bots.js
+// Auto-clicker detection from click timing. People are irregular: the
+// gaps between their clicks wander by tens of milliseconds and they can't
+// sit on the cooldown limit for minutes. Scripts do one or both.
+//
+// Three findings, each checked on every click attempt:
+//   impossibleRegularity - gaps vary by less than `minJitter` ms
+//   lowVariation         - gaps vary by less than `minVariation` of their mean
+//   maxRateStreak        - `maxRateStreak` attempts in a row right at the cooldown
+//                          limit (within `maxRateSlack` ms either side). Mashing
+//                          faster than the cooldown doesn't count.
+// The first two need a full window of `window` gaps.
+
+// What happens to a flagged player
+const SANCTIONS = {
+  none: 'none',         // flagged for admins, nothing else
+  throttle: 'throttle', // clicks use `throttleCooldown` from then on
+  shadow: 'shadow',     // clicks look accepted to the player but count nowhere
+  kick: 'kick'          // disconnected and removed, the session can't be resumed
+};
+
+// Mean, standard deviation and coefficient of variation of click gaps
+function timingStats(gaps) {
+  const mean = gaps.reduce((sum, gap) => sum + gap, 0) / gaps.length;
+  const variance = gaps.reduce((sum, gap) => sum + (gap - mean) ** 2, 0) / gaps.length;
+  const stdDev = Math.sqrt(variance);
+  return { mean, stdDev, variation: mean > 0 ? stdDev / mean : 0 };
+}
+
+// ---------------------------
+// Per-connection tracker
+// ---------------------------
+// settings: {window, minJitter, minVariation, maxRateStreak, maxRateSlack}
+class ClickTracker {
+  constructor(settings) {
+    this.settings = settings;
+    this.lastClick = null;
+    this.gaps = [];       // last `window` gaps in ms
+    this.atLimit = 0;     // consecutive gaps within `maxRateSlack` of the cooldown
+  }
+
+  // Records a click attempt made under `cooldown` ms. Returns
+  // {reasons, stats} when the timing looks scripted, otherwise null.
+  record(now, cooldown) {
+    const previous = this.lastClick;
+    this.lastClick = now;
+    if (previous === null) return null;
+
+    const gap = now - previous;
+    const { window, minJitter, minVariation, maxRateStreak, maxRateSlack } = this.settings;
+
+    this.gaps.push(gap);
+    if (this.gaps.length > window) this.gaps.shift();
+    this.atLimit = Math.abs(gap - cooldown) <= maxRateSlack ? this.atLimit + 1 : 0;
+
+    const reasons = [];
+    const { mean, stdDev, variation } = timingStats(this.gaps);
+    if (this.gaps.length >= window) {
+      if (stdDev < minJitter) reasons.push('impossibleRegularity');
+      else if (variation < minVariation) reasons.push('lowVariation');
+    }
+    if (this.atLimit >= maxRateStreak) reasons.push('maxRateStreak');
+    if (reasons.length === 0) return null;
+
+    return {
+      reasons,
+      stats: {
+        gaps: this.gaps.length,
+        meanGap: Math.round(mean),
+        stdDev: Math.round(stdDev * 10) / 10,
+        variation: Math.round(variation * 1000) / 1000,
+        atLimitStreak: this.atLimit
+      }
+    };
+  }
+}
+
+module.exports = { ClickTracker, SANCTIONS, timingStats };
@@ -0,0 +1,30 @@
+// server/clock.js
+// Where game logic gets the time: cooldowns, streaks, power-up expiry,
+// rounds and achievements all read `clock.now()`. Tests and replays swap in
+// a ManualClock and move it themselves. Timers, metrics, rate limits and
+// the `serverTime` on acks stay on real time.
+
+const systemClock = {
+  now: () => Date.now()
+};
+
+class ManualClock {
+  constructor(start = 0) {
+    this.time = start;
+  }
+
+  now() {
+    return this.time;
+  }
+
+  advance(ms) {
+    this.time += ms;
+    return this.time;
+  }
+
+  set(time) {
+    this.time = time;
+  }
+}
+
+module.exports = { systemClock, ManualClock };
@@ -0,0 +1,377 @@
+// server/config.js
+// Single configuration layer for the server and the Node test tools.
+// Precedence: built-in defaults < JSON config file < environment variables
+// < overrides passed in code (createServer's `config` option).
+// The config file is CONFIG_FILE, or config.json next to this file if present.
+
+const fs = require('fs');
+const path = require('path');
+const { ROOM_NAME_PATTERN, USERNAME_MAX_LENGTH, CLIENT_MESSAGES } = require('./protocol');
+const { LEVELS } = require('./logger');
+const { POWER_UPS, defaultCosts } = require('./powerups');
+const { SANCTIONS } = require('./bots');
+
+// ---------------------------
+// Defaults
+// ---------------------------
+const DEFAULTS = {
+  port: 8080,
+  redisUrl: 'redis://localhost:6379',
+  redisConnectTimeout: 10000,      // ms start() waits for Redis before giving up
+  serverUrl: null,                 // used by test tools; defaults to ws://localhost:<port>
+  counterGoal: 10000,              // counter target shown to clients, per room
+  sessionGracePeriod: 30000,       // ms a disconnected player can still resume
+  presenceRefreshInterval: 5000,   // ms between presence refresh / eviction sweeps
+  logLevel: 'info',                // debug | info | warn | error
+  randomSeed: null,                // seeds game rolls (see random.js); null picks one at startup
+  cooldowns: {
+    base: 500,                     // ms after a normal click
+    multiplied: 1000               // ms after a click that earned a multiplier
+  },
+  powerUpCosts: defaultCosts(),     // see powerups.js; any of them can be overridden
+  usernames: {
+    minLength: 2,
+    maxLength: 20,                 // at most 32
+    reserved: [],                  // extra names nobody may take (see usernames.js)
+    blocked: []                    // extra words no name may use as one of its words
+  },
+  rooms: {
+    defaultRoom: 'main',           // room players join when they don't pick one
+    maxRooms: 50                   // open rooms, including the default one
+  },
+  rounds: {
+    enabled: true,                 // false: one endless game per room
+    lobbyDuration: 10000,          // ms countdown before a round starts
+    roundDuration: 120000,         // ms a round lasts unless the counter goal is hit first
+    resultsDuration: 10000         // ms the final standings are shown before the next lobby
+  },
+  leaderboard: {
+    tickInterval: 250,             // ms between leaderboard / counter updates
+    topN: 10,                      // players shown on the shared board
+    neighbors: 2,                  // players shown above and below your own rank
+    historySize: 10                // players shown on daily / weekly / all-time boards
+  },
+  rateLimits: {
+    enabled: true,
+    // Per connection, by message type: `burst` at once, refilled at `perSecond`.
+    // `invalid` covers messages that fail to parse or validate.
+    messages: {
+      default: { burst: 10, perSecond: 2 },
+      increment: { burst: 20, perSecond: 15 }, // the click cooldown paces real play
+      register: { burst: 3, perSecond: 0.2 },
+      resume: { burst: 3, perSecond: 0.2 },
+      createRoom: { burst: 2, perSecond: 0.1 },
+      watchReplay: { burst: 2, perSecond: 0.1 }, // each one reads the room's event log
+      invalid: { burst: 5, perSecond: 1 }
+    },
+    ip: {
+      factor: 5,                   // an IP gets this many connections' worth of each bucket
+      maxConnections: 20,          // open sockets per IP
+      connectBurst: 10,            // new sockets per IP at once...
+      connectsPerSecond: 1         // ...refilled at this rate
+    },
+    escalation: {
+      strikeWindow: 10000,         // ms refusals are remembered
+      muteAfter: 5,                // refusals in the window before everything is dropped
+      muteDuration: 10000,         // ms a muted connection is ignored
+      disconnectAfter: 15          // refusals in the window before the socket is closed
+    },
+    trustProxy: false              // take the client IP from X-Forwarded-For
+  },
+  botDetection: {
+    enabled: true,
+    window: 30,                    // click gaps analysed per player
+    minJitter: 3,                  // ms; gaps steadier than this are machine-made
+    minVariation: 0.05,            // gap std dev / mean below this is too regular
+    maxRateStreak: 60,             // attempts in a row at the cooldown limit
+    maxRateSlack: 40,              // ms either side of the cooldown that count as at the limit
+    sanction: 'throttle',          // none | throttle | shadow | kick
+    throttleCooldown: 2000,        // ms between clicks for throttled players
+    flagRetention: 7 * 24 * 60 * 60 * 1000 // ms flags stay visible to admins
+  },
+  achievements: {
+    announce: true                 // false: only the player hears about their unlocks
+  },
+  audit: {
+    maxEntries: 1000,              // score changes kept per player (approximately)
+    retention: 7 * 24 * 60 * 60 * 1000 // ms a player's trail is kept after their last change
+  },
+  events: {
+    enabled: true,                 // append every accepted action to the room's event log
+    maxEntries: 100000,            // events kept per room (approximately)
+    retention: 7 * 24 * 60 * 60 * 1000, // ms a room's log is kept after its last event
+    rebuildOnStart: false          // recompute scores and counters from the logs at startup
+  },
+  heartbeat: {
+    interval: 10000,               // ms between pings to every socket
+    maxMissed: 2,                  // unanswered pings in a row before the socket is terminated
+    idleAfter: 60000               // ms without a click or purchase before a player shows as idle
+  },
+  shutdown: {
+    timeout: 10000,                // ms to finish up on SIGTERM / SIGINT before exiting anyway
+    reconnectDelay: 2000,          // ms clients are asked to wait before reconnecting
+    snapshotFile: 'snapshot.json', // relative to this directory; null: no snapshot
+    restoreOnStart: true           // restore the snapshot at startup if Redis is empty
+  },
+  roleTokens: {
+    admin: null,
+    demo: null
+  }
+};
+
+// ---------------------------
+// Environment variables
+// ---------------------------
+const bool = value => value === 'true' || value === '1';
+
+// [env name, config path, parser]
+const ENV_VARS = [
+  ['PORT', 'port', Number],
+  ['REDIS_URL', 'redisUrl', String],
+  ['REDIS_CONNECT_TIMEOUT', 'redisConnectTimeout', Number],
+  ['SERVER_URL', 'serverUrl', String],
+  ['COUNTER_GOAL', 'counterGoal', Number],
+  ['SESSION_GRACE_PERIOD', 'sessionGracePeriod', Number],
+  ['PRESENCE_REFRESH_INTERVAL', 'presenceRefreshInterval', Number],
+  ['LOG_LEVEL', 'logLevel', String],
+  ['RANDOM_SEED', 'randomSeed', String],
+  ['COOLDOWN_BASE', 'cooldowns.base', Number],
+  ['COOLDOWN_MULTIPLIED', 'cooldowns.multiplied', Number],
+  ['POWERUP_DOUBLECLICK_COST', 'powerUpCosts.doubleClick', Number],
+  ['POWERUP_RAPIDFIRE_COST', 'powerUpCosts.rapidFire', Number],
+  ['POWERUP_SHIELD_COST', 'powerUpCosts.shield', Number],
+  ['POWERUP_FREEZELEADER_COST', 'powerUpCosts.freezeLeader', Number],
+  ['POWERUP_STEALPOINTS_COST', 'powerUpCosts.stealPoints', Number],
+  ['USERNAME_MIN_LENGTH', 'usernames.minLength', Number],
+  ['USERNAME_MAX_LENGTH', 'usernames.maxLength', Number],
+  ['DEFAULT_ROOM', 'rooms.defaultRoom', String],
+  ['MAX_ROOMS', 'rooms.maxRooms', Number],
+  ['ROUNDS_ENABLED', 'rounds.enabled', bool],
+  ['ROUND_LOBBY_DURATION', 'rounds.lobbyDuration', Number],
+  ['ROUND_DURATION', 'rounds.roundDuration', Number],
+  ['ROUND_RESULTS_DURATION', 'rounds.resultsDuration', Number],
+  ['LEADERBOARD_TICK_INTERVAL', 'leaderboard.tickInterval', Number],
+  ['LEADERBOARD_TOP_N', 'leaderboard.topN', Number],
+  ['LEADERBOARD_NEIGHBORS', 'leaderboard.neighbors', Number],
+  ['LEADERBOARD_HISTORY_SIZE', 'leaderboard.historySize', Number],
+  ['RATE_LIMITS_ENABLED', 'rateLimits.enabled', bool],
+  ['RATE_LIMIT_MAX_CONNECTIONS_PER_IP', 'rateLimits.ip.maxConnections', Number],
+  ['TRUST_PROXY', 'rateLimits.trustProxy', bool],
+  ['BOT_DETECTION_ENABLED', 'botDetection.enabled', bool],
+  ['BOT_SANCTION', 'botDetection.sanction', String],
+  ['BOT_THROTTLE_COOLDOWN', 'botDetection.throttleCooldown', Number],
+  ['ACHIEVEMENTS_ANNOUNCE', 'achievements.announce', bool],
+  ['AUDIT_MAX_ENTRIES', 'audit.maxEntries', Number],
+  ['AUDIT_RETENTION', 'audit.retention', Number],
+  ['EVENTS_ENABLED', 'events.enabled', bool],
+  ['EVENTS_MAX_ENTRIES', 'events.maxEntries', Number],
+  ['EVENTS_RETENTION', 'events.retention', Number],
+  ['EVENTS_REBUILD_ON_START', 'events.rebuildOnStart', bool],
+  ['HEARTBEAT_INTERVAL', 'heartbeat.interval', Number],
+  ['HEARTBEAT_MAX_MISSED', 'heartbeat.maxMissed', Number],
+  ['IDLE_AFTER', 'heartbeat.idleAfter', Number],
+  ['SHUTDOWN_TIMEOUT', 'shutdown.timeout', Number],
+  ['SHUTDOWN_RECONNECT_DELAY', 'shutdown.reconnectDelay', Number],
+  ['SNAPSHOT_FILE', 'shutdown.snapshotFile', String],
+  ['SNAPSHOT_RESTORE_ON_START', 'shutdown.restoreOnStart', bool],
+  ['ADMIN_TOKEN', 'roleTokens.admin', String],
+  ['DEMO_TOKEN', 'roleTokens.demo', String]
+];
+
+class ConfigError extends Error {
+  constructor(problems) {
+    super(`Invalid configuration:\n  - ${problems.join('\n  - ')}`);
+    this.name = 'ConfigError';
+    this.problems = problems;
+  }
+}
+
+// ---------------------------
+// Helpers
+// ---------------------------
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function merge(base, override) {
+  const result = { ...base };
+  Object.entries(override || {}).forEach(([key, value]) => {
+    result[key] = isPlainObject(value) && isPlainObject(base[key])
+      ? merge(base[key], value)
+      : value;
+  });
+  return result;
+}
+
+function setPath(target, dottedPath, value) {
+  const keys = dottedPath.split('.');
+  const last = keys.pop();
+  const parent = keys.reduce((obj, key) => (obj[key] = { ...obj[key] }), target);
+  parent[last] = value;
+}
+
+function readConfigFile(env) {
+  const file = env.CONFIG_FILE || path.join(__dirname, 'config.json');
+  if (!env.CONFIG_FILE && !fs.existsSync(file)) return {};
+
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (err) {
+    throw new ConfigError([`cannot read config file ${file}: ${err.message}`]);
+  }
+}
+
+// ---------------------------
+// Validation
+// ---------------------------
+function validate(config) {
+  const problems = [];
+  const positiveInt = (name, value) => {
+    if (!Number.isInteger(value) || value <= 0) problems.push(`${name} must be a positive integer (got ${value})`);
+  };
+
+  if (!Number.isInteger(config.port) || config.port < 0 || config.port > 65535) {
+    problems.push(`port must be an integer between 0 and 65535 (got ${config.port})`);
+  }
+  if (!/^rediss?:\/\//.test(config.redisUrl)) {
+    problems.push(`redisUrl must start with redis:// or rediss:// (got ${config.redisUrl})`);
+  }
+  if (config.serverUrl !== null && !/^wss?:\/\//.test(config.serverUrl)) {
+    problems.push(`serverUrl must start with ws:// or wss:// (got ${config.serverUrl})`);
+  }
+
+  positiveInt('counterGoal', config.counterGoal);
+  positiveInt('sessionGracePeriod', config.sessionGracePeriod);
+  positiveInt('presenceRefreshInterval', config.presenceRefreshInterval);
+  positiveInt('redisConnectTimeout', config.redisConnectTimeout);
+  if (!Object.prototype.hasOwnProperty.call(LEVELS, config.logLevel)) {
+    problems.push(`logLevel must be one of ${Object.keys(LEVELS).join(', ')} (got ${config.logLevel})`);
+  }
+  if (config.randomSeed !== null && !(typeof config.randomSeed === 'string' && config.randomSeed.length > 0) && !Number.isInteger(config.randomSeed)) {
+    problems.push(`randomSeed must be null, a non-empty string or an integer (got ${config.randomSeed})`);
+  }
+  positiveInt('cooldowns.base', config.cooldowns.base);
+  positiveInt('cooldowns.multiplied', config.cooldowns.multiplied);
+  Object.entries(config.powerUpCosts).forEach(([type, cost]) => {
+    const powerUp = Object.prototype.hasOwnProperty.call(POWER_UPS, type) && POWER_UPS[type];
+    if (!powerUp || powerUp.purchasable === false) {
+      problems.push(`powerUpCosts.${type} is not a power-up that can be bought`);
+    }
+    positiveInt(`powerUpCosts.${type}`, cost);
+  });
+  positiveInt('usernames.minLength', config.usernames.minLength);
+  positiveInt('usernames.maxLength', config.usernames.maxLength);
+  if (config.usernames.maxLength > USERNAME_MAX_LENGTH || config.usernames.maxLength < config.usernames.minLength) {
+    problems.push(`usernames.maxLength must be between usernames.minLength and ${USERNAME_MAX_LENGTH} (got ${config.usernames.maxLength})`);
+  }
+  ['reserved', 'blocked'].forEach(list => {
+    const words = config.usernames[list];
+    if (!Array.isArray(words) || !words.every(word => typeof word === 'string' && word.length > 0)) {
+      problems.push(`usernames.${list} must be a list of non-empty strings`);
+    }
+  });
+  if (typeof config.rooms.defaultRoom !== 'string' || !ROOM_NAME_PATTERN.test(config.rooms.defaultRoom)) {
+    problems.push(`rooms.defaultRoom must be 1-24 letters, digits, spaces, _ or - (got ${config.rooms.defaultRoom})`);
+  }
+  positiveInt('rooms.maxRooms', config.rooms.maxRooms);
+  if (typeof config.rounds.enabled !== 'boolean') {
+    problems.push(`rounds.enabled must be true or false (got ${config.rounds.enabled})`);
+  }
+  positiveInt('rounds.lobbyDuration', config.rounds.lobbyDuration);
+  positiveInt('rounds.roundDuration', config.rounds.roundDuration);
+  positiveInt('rounds.resultsDuration', config.rounds.resultsDuration);
+  positiveInt('leaderboard.tickInterval', config.leaderboard.tickInterval);
+  positiveInt('leaderboard.topN', config.leaderboard.topN);
+  positiveInt('leaderboard.historySize', config.leaderboard.historySize);
+  if (!Number.isInteger(config.leaderboard.neighbors) || config.leaderboard.neighbors < 0) {
+    problems.push(`leaderboard.neighbors must be a non-negative integer (got ${config.leaderboard.neighbors})`);
+  }
+
+  const limits = config.rateLimits;
+  ['enabled', 'trustProxy'].forEach(name => {
+    if (typeof limits[name] !== 'boolean') problems.push(`rateLimits.${name} must be true or false (got ${limits[name]})`);
+  });
+  if (!limits.messages.default) problems.push('rateLimits.messages.default is required');
+  Object.entries(limits.messages).forEach(([type, limit]) => {
+    if (type !== 'default' && type !== 'invalid' && !Object.prototype.hasOwnProperty.call(CLIENT_MESSAGES, type)) {
+      problems.push(`rateLimits.messages.${type} is not a client message type`);
+    }
+    positiveInt(`rateLimits.messages.${type}.burst`, limit && limit.burst);
+    if (!limit || typeof limit.perSecond !== 'number' || !(limit.perSecond > 0)) {
+      problems.push(`rateLimits.messages.${type}.perSecond must be a positive number (got ${limit && limit.perSecond})`);
+    }
+  });
+  ['factor', 'maxConnections', 'connectBurst'].forEach(name => positiveInt(`rateLimits.ip.${name}`, limits.ip[name]));
+  if (typeof limits.ip.connectsPerSecond !== 'number' || !(limits.ip.connectsPerSecond > 0)) {
+    problems.push(`rateLimits.ip.connectsPerSecond must be a positive number (got ${limits.ip.connectsPerSecond})`);
+  }
+  ['strikeWindow', 'muteAfter', 'muteDuration', 'disconnectAfter'].forEach(name => positiveInt(`rateLimits.escalation.${name}`, limits.escalation[name]));
+  if (limits.escalation.disconnectAfter <= limits.escalation.muteAfter) {
+    problems.push('rateLimits.escalation.disconnectAfter must be greater than muteAfter');
+  }
+
+  const bots = config.botDetection;
+  if (typeof bots.enabled !== 'boolean') {
+    problems.push(`botDetection.enabled must be true or false (got ${bots.enabled})`);
+  }
+  ['window', 'maxRateStreak', 'throttleCooldown', 'flagRetention'].forEach(name => positiveInt(`botDetection.${name}`, bots[name]));
+  ['minJitter', 'minVariation', 'maxRateSlack'].forEach(name => {
+    if (typeof bots[name] !== 'number' || !(bots[name] >= 0)) {
+      problems.push(`botDetection.${name} must be a non-negative number (got ${bots[name]})`);
+    }
+  });
+  if (!Object.prototype.hasOwnProperty.call(SANCTIONS, bots.sanction)) {
+    problems.push(`botDetection.sanction must be one of ${Object.keys(SANCTIONS).join(', ')} (got ${bots.sanction})`);
+  }
+  if (typeof config.achievements.announce !== 'boolean') {
+    problems.push(`achievements.announce must be true or false (got ${config.achievements.announce})`);
+  }
+  positiveInt('audit.maxEntries', config.audit.maxEntries);
+  positiveInt('audit.retention', config.audit.retention);
+  ['enabled', 'rebuildOnStart'].forEach(flag => {
+    if (typeof config.events[flag] !== 'boolean') {
+      problems.push(`events.${flag} must be true or false (got ${config.events[flag]})`);
+    }
+  });
+  positiveInt('events.maxEntries', config.events.maxEntries);
+  positiveInt('events.retention', config.events.retention);
+  ['interval', 'maxMissed', 'idleAfter'].forEach(name => positiveInt(`heartbeat.${name}`, config.heartbeat[name]));
+  positiveInt('shutdown.timeout', config.shutdown.timeout);
+  positiveInt('shutdown.reconnectDelay', config.shutdown.reconnectDelay);
+  if (config.shutdown.snapshotFile !== null && !(typeof config.shutdown.snapshotFile === 'string' && config.shutdown.snapshotFile.length > 0)) {
+    problems.push(`shutdown.snapshotFile must be null or a file path (got ${config.shutdown.snapshotFile})`);
+  }
+  if (typeof config.shutdown.restoreOnStart !== 'boolean') {
+    problems.push(`shutdown.restoreOnStart must be true or false (got ${config.shutdown.restoreOnStart})`);
+  }
+
+  if (config.presenceRefreshInterval >= config.sessionGracePeriod) {
+    problems.push('presenceRefreshInterval must be shorter than sessionGracePeriod');
+  }
+
+  if (problems.length > 0) throw new ConfigError(problems);
+}
+
+// ---------------------------
+// Loader
+// ---------------------------
+function loadConfig(env = process.env, overrides = {}) {
+  let config = merge(DEFAULTS, readConfigFile(env));
+
+  ENV_VARS.forEach(([name, configPath, parse]) => {
+    if (env[name] !== undefined && env[name] !== '') {
+      config = { ...config };
+      setPath(config, configPath, parse(env[name]));
+    }
+  });
+  config = merge(config, overrides);
+
+  if (config.serverUrl === null) {
+    config.serverUrl = `ws://localhost:${config.port}`;
+  }
+
+  validate(config);
+  return config;
+}
+
+module.exports = { loadConfig, DEFAULTS, ConfigError };
@@ -1,18 +1,24 @@
 // debug-server.js - Fixed version with proper latency measurement
 const WebSocket = require('ws');
+const { loadConfig } = require('./config');
+const { createServer } = require('./engine');
+const { playerName } = require('./test-suite'); // names unique per run
 
 class ServerDebugger {
-    constructor() {
-        this.serverUrl = 'ws://localhost:8080';
+    constructor(config = loadConfig()) {
+        this.config = config;
+        this.serverUrl = config.serverUrl;
         this.messageLog = [];
         this.latencyResults = [];
         this.pendingRequests = new Map(); // Track pending requests with timestamps
     }
 
+    // Resolves once the test connection has closed
     async debugLatencyIssue() {
         console.log('🔍 Debugging Server Latency Issue...\n');
         
         const ws = new WebSocket(this.serverUrl);
+        const closed = new Promise(resolve => ws.once('close', resolve));
         let playerId = null;
         let isRegistered = false;
         let requestId = 0;
@@ -33,11 +39,11 @@ class ServerDebugger {
                     playerId = data.playerId;
                     console.log(`✓ Assigned Player ID: ${playerId}`);
                     console.log('Sending registration...');
-                    ws.send(JSON.stringify({ type: 'register', username: 'DebugUser' }));
+                    ws.send(JSON.stringify({ type: 'register', username: playerName('DebugUser'), requestId: ++requestId }));
                     break;
                     
-                case 'leaderboard':
-                    if (!isRegistered) {
+                case 'ack':
+                    if (data.requestType === 'register' && !isRegistered) {
                         console.log('✓ Registration confirmed');
                         isRegistered = true;
                         
@@ -45,27 +51,30 @@ class ServerDebugger {
                         setTimeout(() => {
                             this.startLatencyTest(ws);
                         }, 100);
+                        break;
                     }
-                    break;
-                    
-                case 'totalCounter':
-                    // Find and measure latency for pending increment requests
-                    for (let [reqId, timestamp] of this.pendingRequests.entries()) {
-                        const latency = receiveTime - timestamp;
+
+                    // The ack echoes our requestId, so latency is exact
+                    if (this.pendingRequests.has(data.requestId)) {
+                        const latency = receiveTime - this.pendingRequests.get(data.requestId);
                         this.latencyResults.push(latency);
-                        console.log(`✓ Request ${reqId} completed in ${latency}ms`);
-                        this.pendingRequests.delete(reqId);
-                        break; // Only process the oldest pending request
+                        console.log(`✓ Request ${data.requestId} completed in ${latency}ms (+${data.increment})`);
+                        this.pendingRequests.delete(data.requestId);
                     }
                     break;
                     
+                case 'nack':
+                    console.log(`⚠ Request ${data.requestId} refused: ${data.reason}`);
+                    this.pendingRequests.delete(data.requestId);
+                    break;
+
+                case 'leaderboard':
+                case 'leaderboardDelta':
+                case 'rank':
+                case 'roundState':
+                case 'roundEnded':
+                case 'totalCounter':
                 case 'rateLimited':
-                    console.log('⚠ Rate limited detected');
-                    // Remove the pending request that was rate limited
-                    if (this.pendingRequests.size > 0) {
-                        const oldestReq = this.pendingRequests.keys().next().value;
-                        this.pendingRequests.delete(oldestReq);
-                    }
                     break;
                     
                 default:
@@ -89,6 +98,8 @@ class ServerDebugger {
                 ws.close();
             }
         }, 15000);
+        
+        return closed;
     }
 
     startLatencyTest(ws) {
@@ -122,7 +133,7 @@ class ServerDebugger {
             
             ws.send(JSON.stringify({ 
                 type: 'increment',
-                requestId: requestId // Include ID for tracking (optional)
+                requestId: requestId // Echoed back in the ack/nack
             }));
             
         }, requestInterval);
@@ -207,7 +218,7 @@ class ServerDebugger {
             if (data.type === 'assignId') {
                 assignedId = true;
                 console.log('✓ Server is assigning player IDs');
-                ws.send(JSON.stringify({ type: 'register', username: 'HealthCheck' }));
+                ws.send(JSON.stringify({ type: 'register', username: playerName('HealthCheck') }));
             } else if (data.type === 'leaderboard') {
                 receivedLeaderboard = true;
                 console.log('✓ Server is broadcasting leaderboards');
@@ -215,7 +226,7 @@ class ServerDebugger {
             }
         };
         
-        setTimeout(() => {
+        await new Promise(resolve => setTimeout(() => {
             if (!messageReceived) {
                 console.log('❌ No messages received from server');
             } else {
@@ -226,7 +237,8 @@ class ServerDebugger {
             if (ws.readyState === WebSocket.OPEN) {
                 ws.close();
             }
-        }, 3000);
+            resolve();
+        }, 3000));
     }
 
     async checkRedisConnection() {
@@ -234,7 +246,7 @@ class ServerDebugger {
         
         try {
             const redis = require('redis');
-            const client = redis.createClient();
+            const client = redis.createClient({ url: this.config.redisUrl });
             
             await client.connect();
             await client.ping();
@@ -267,26 +279,47 @@ class ServerDebugger {
 }
 
 // CLI usage
-if (require.main === module) {
-    const serverDebugger = new ServerDebugger();
+// Pass --in-process to start a server for the run instead of using a
+// running one (it still uses the Redis from REDIS_URL)
+async function main() {
+    const args = process.argv.slice(2);
+    const command = args.find(arg => !arg.startsWith('--')) || 'full';
+    const config = loadConfig();
+    const server = args.includes('--in-process')
+        ? createServer({
+            port: 0,
+            // Rounds off, or increments are refused outside an active round
+            config: { logLevel: 'warn', rounds: { enabled: false }, shutdown: { snapshotFile: null } }
+        })
+        : null;
+    if (server) {
+        await server.start();
+        console.log(`Started an in-process server on ${server.url}\n`);
+    }
     
-    const command = process.argv[2] || 'full';
+    const serverDebugger = new ServerDebugger(server ? { ...config, serverUrl: server.url } : config);
     
     switch (command) {
         case 'latency':
-            serverDebugger.debugLatencyIssue();
+            await serverDebugger.debugLatencyIssue();
             break;
         case 'health':
-            serverDebugger.testServerHealth();
+            await serverDebugger.testServerHealth();
             break;
         case 'redis':
-            serverDebugger.checkRedisConnection();
+            await serverDebugger.checkRedisConnection();
             break;
         case 'full':
         default:
-            serverDebugger.runFullDiagnostic();
+            await serverDebugger.runFullDiagnostic();
             break;
     }
+    
+    if (server) await server.stop();
 }
 
-module.exports = ServerDebugger;
\ No newline at end of file
+module.exports = ServerDebugger;
+
+if (require.main === module) {
+    main().catch(console.error);
+}
@@ -0,0 +1,1462 @@
+// server/engine.js
+// The game server as a library: createServer() builds one instance (HTTP
+// API, WebSocket game, timers) around a store, a clock and a random source,
+// and hands back something to start, stop, inspect and listen to.
+// server.js is the command-line wrapper that `npm start` runs; tests and
+// other services can run an instance in-process on a free port.
+
+const http = require('http');
+const { EventEmitter } = require('events');
+const path = require('path');
+const WebSocket = require('ws');
+const redis = require('redis');
+const { v4: uuidv4 } = require('uuid');
+const { GameStore } = require('./store');
+const { PubSub, closeClient } = require('./pubsub');
+const { resolveRole, privilegesFor, DEFAULT_ROLE } = require('./roles');
+const { loadConfig } = require('./config');
+const { Logger } = require('./logger');
+const { rankScores, neighborhood, diffEntries, UsernameCache } = require('./leaderboard');
+const { RoundManager, isPlayable } = require('./rounds');
+const { createRequestHandler } = require('./api');
+const { PowerUpEngine } = require('./powerups');
+const { AchievementEngine, RECENT_CLICKS_WINDOW } = require('./achievements');
+const { ClickTracker, SANCTIONS } = require('./bots');
+const { checkUsername } = require('./usernames');
+const { createRandom, playerStream } = require('./random');
+const { systemClock } = require('./clock');
+const { scoreClick, nextStreak, TAUNT_CHANCE } = require('./scoring');
+const { EventLog, EVENT_TYPES, lastFinishedRound } = require('./events');
+const { Replay } = require('./replay');
+const { saveSnapshot, restoreSnapshot } = require('./snapshot');
+const { Heartbeat, STATUSES, summarizeRtts } = require('./heartbeat');
+const { RateLimiter, LEVELS: LIMIT_LEVELS } = require('./ratelimit');
+const { Registry, instrumentStore, monitorEventLoop } = require('./metrics');
+const {
+  PROTOCOL_VERSION,
+  SUPPORTED_VERSIONS,
+  ERROR_CODES,
+  CLIENT_MESSAGES,
+  selectSubprotocol,
+  encodingFor,
+  encodeMessage,
+  parseClientMessage,
+  errorMessage,
+  ackMessage,
+  nackMessage,
+  isAcknowledged
+} = require('./protocol');
+
+// ---------------------------
+// Factory
+// ---------------------------
+// options (all optional):
+//   port   - overrides config.port; 0 picks a free one (handle.port once started)
+//   store  - a GameStore on a connected Redis client, which pub/sub also
+//            uses; by default the instance creates one on config.redisUrl
+//   clock  - see clock.js; real time by default
+//   rng    - a Random (see random.js); by default seeded from config.randomSeed
+//   config - overrides on top of loadConfig(): defaults < file < env < these
+//
+// Returns a handle (an EventEmitter) with start(), stop(), inspect() and
+// roomState(room), plus the config, store, clock, rng and metrics registry
+// it runs with. It emits:
+//   listening  - {port, url}
+//   connection - {connectionId, playerId, ip}
+//   disconnect - {connectionId, playerId, room, code}
+//   gameEvent  - {room, type, time, ...fields} for every game event (see events.js)
+//   stopped    - {}
+// An instance starts and stops once. Throws ConfigError for bad config.
+function createServer(options = {}) {
+  const overrides = options.port === undefined ? options.config : { ...options.config, port: options.port };
+  const config = loadConfig(process.env, overrides);
+
+  // Lines about one connection go through connectionLog(ws) so they carry
+  // its connection, player and room
+  const logger = new Logger(config.logLevel);
+
+  function connectionLog(ws) {
+    return logger.child({ connectionId: ws.connectionId, playerId: ws.playerId, room: ws.room });
+  }
+
+  // Repeating jobs, started by start() and cleared by stop()
+  const jobs = [];
+  const intervals = [];
+
+  function repeat(job, ms) {
+    jobs.push([job, ms]);
+  }
+
+  // ---------------------------
+  // Randomness and time
+  // ---------------------------
+  // Game logic rolls dice from seeded streams and reads the time from
+  // `clock`, so a run with the same seed and clock scores the same. Each
+  // player rolls from their own stream (ws.random), taunts from a shared one.
+  const clock = options.clock || systemClock;
+  const random = options.rng || createRandom(config.randomSeed);
+  const tauntRandom = random.stream('taunts');
+  logger.info('Random seed', { seed: random.seed });
+
+  // ---------------------------
+  // Metrics
+  // ---------------------------
+  // Scraped from GET /metrics. Gauges that need `wss` are registered below it.
+  const registry = new Registry();
+  const metrics = {
+    connections: registry.counter('game_connections_total', 'WebSocket connections accepted'),
+    messages: registry.counter('game_messages_received_total', 'Client messages received, by type', ['type']),
+    handling: registry.histogram('game_message_handling_seconds', 'Time to handle a client message, by type', ['type']),
+    fanout: registry.histogram('game_broadcast_fanout_seconds', 'Time to write a broadcast to this instance\'s clients, by message type', ['type']),
+    rateLimited: registry.counter('game_rate_limited_total', 'Increments rejected during cooldown'),
+    throttled: registry.counter('game_messages_throttled_total', 'Messages refused by rate limits, by type and escalation level', ['type', 'level']),
+    connectionsRefused: registry.counter('game_connections_refused_total', 'Sockets closed on connect by per-IP limits'),
+    powerUps: registry.counter('game_powerup_purchases_total', 'Power-up purchases, by power-up and outcome', ['powerUp', 'outcome']),
+    botFlags: registry.counter('game_bot_flags_total', 'Players flagged for scripted clicking, by sanction', ['sanction']),
+    achievements: registry.counter('game_achievements_unlocked_total', 'Achievements unlocked, by achievement', ['achievement']),
+    rtt: registry.histogram('game_heartbeat_rtt_seconds', 'Round trip of heartbeat pings'),
+    deadConnections: registry.counter('game_dead_connections_total', 'Sockets terminated for leaving heartbeat pings unanswered'),
+    eventLoopLag: registry.histogram('game_event_loop_lag_seconds', 'How late a 500ms timer fired'),
+    redis: registry.histogram('game_redis_operation_seconds', 'Time per store operation, which can be several Redis round trips or a script', ['operation'])
+  };
+
+  // ---------------------------
+  // Redis setup
+  // ---------------------------
+  // A store passed in comes with its own connected client, which pub/sub
+  // duplicates; otherwise the instance owns the client and start() connects it
+  const ownsRedis = !options.store;
+  const redisClient = ownsRedis ? redis.createClient({ url: config.redisUrl }) : options.store.client;
+  if (ownsRedis) redisClient.on('error', (err) => logger.error('Redis error', { err }));
+
+  const store = instrumentStore(options.store || new GameStore(redisClient, { audit: config.audit, events: config.events }), metrics.redis);
+  const pubsub = new PubSub(redisClient, logger.child({ component: 'pubsub' }));
+  const powerUps = new PowerUpEngine(store, config.powerUpCosts);
+  const achievements = new AchievementEngine(store);
+  const eventLog = new EventLog(store, config.events);
+
+  // ---------------------------
+  // Event log
+  // ---------------------------
+  // Every accepted action is appended to its room's log once it has been
+  // applied (see events.js). A failed append is logged, never fatal.
+  function logEvent(room, type, fields) {
+    const now = clock.now();
+    handle.emit('gameEvent', { room, type, time: now, ...fields });
+    eventLog.append(room, type, fields, now)
+      .catch(err => logger.error('Event log append failed', { room, type, err }));
+  }
+
+  // Expiry isn't an action anyone takes, so it's noticed with a timer. An
+  // extended power-up is still active when the first timer fires and is
+  // logged by the later one.
+  const expiryTimers = new Set();
+
+  function logExpiry(room, playerId, powerUp, duration) {
+    const timer = setTimeout(async () => {
+      expiryTimers.delete(timer);
+      try {
+        const active = await store.getPowerUps(playerId, clock.now());
+        if (!active[powerUp]) logEvent(room, EVENT_TYPES.powerUpExpired, { playerId, powerUp });
+      } catch (err) {
+        logger.error('Power-up expiry check failed', { room, playerId, powerUp, err });
+      }
+    }, duration);
+    timer.unref();
+    expiryTimers.add(timer);
+  }
+
+  async function rebuildFromEventLog() {
+    const rooms = await store.getRoomNames();
+    for (const room of rooms) {
+      const result = await eventLog.rebuildRoom(room);
+      if (result.skipped) logger.warn('Room not rebuilt from its event log', { room, reason: result.skipped });
+      else logger.info('Rebuilt room from its event log', { room, ...result });
+    }
+  }
+
+  // Finished rounds never change, so their matches (see events.js) are kept
+  // for the next spectator instead of reading the log again. Keys carry
+  // the room's creation time, since a reopened room numbers rounds from 1.
+  const MATCH_CACHE_SIZE = 20;
+  const matchCache = new Map(); // key -> Promise of a match
+
+  // `round` undefined: the room's last finished round
+  async function findMatch(room, round) {
+    const [createdAt, roundState] = await Promise.all([store.getRoomCreatedAt(room), store.getRound(room)]);
+    const last = lastFinishedRound(roundState);
+    if (last === null) return null;
+    if (round === undefined) round = last;
+    if (round > last) return null;
+
+    const key = `${room}:${createdAt}:${round}`;
+    if (!matchCache.has(key)) {
+      const reading = eventLog.readMatch(room, round);
+      matchCache.set(key, reading);
+      if (matchCache.size > MATCH_CACHE_SIZE) matchCache.delete(matchCache.keys().next().value);
+      reading.then(match => { if (!match) matchCache.delete(key); }, () => matchCache.delete(key));
+    }
+    return matchCache.get(key);
+  }
+
+  // ---------------------------
+  // HTTP + WebSocket setup
+  // ---------------------------
+  // One port serves the REST endpoints, the client files and WebSocket
+  // upgrades. Clients pick JSON or binary frames with the WebSocket subprotocol.
+  const httpServer = http.createServer();
+  const wss = new WebSocket.Server({
+    server: httpServer,
+    handleProtocols: offered => selectSubprotocol(offered)
+  });
+
+  function send(ws, data) {
+    ws.send(encodeMessage(data, ws.encoding));
+  }
+
+  // Encodes a message at most once per wire format, however many
+  // clients it goes to
+  function frameCache(data) {
+    const frames = {};
+    return ws => frames[ws.encoding] || (frames[ws.encoding] = encodeMessage(data, ws.encoding));
+  }
+
+  registry.gauge('game_connected_clients', 'Open WebSocket connections', () => wss.clients.size);
+  registry.gauge('game_registered_players', 'Connections that registered or resumed a player',
+    () => Array.from(wss.clients).filter(client => client.registered).length);
+
+  // Messages received by this instance over the last full second
+  let messagesThisSecond = 0;
+  let messagesPerSecond = 0;
+  repeat(() => {
+    messagesPerSecond = messagesThisSecond;
+    messagesThisSecond = 0;
+  }, 1000);
+
+  httpServer.on('request', createRequestHandler({
+    store,
+    config,
+    staticDir: path.join(__dirname, '..', 'client'),
+    registry,
+    logger: logger.child({ component: 'http' }),
+    isHealthy: () => redisClient.isReady,
+    getStats: instanceStats
+  }));
+
+  // This instance's own figures, for /stats and inspect()
+  function instanceStats() {
+    const clients = Array.from(wss.clients);
+    const registered = clients.filter(client => client.registered);
+    const statuses = Object.fromEntries(Object.keys(STATUSES).map(status => [status, 0]));
+    registered.forEach(client => { statuses[client.status]++; });
+    return {
+      connectedPlayers: registered.length,
+      connections: wss.clients.size,
+      messagesPerSecond,
+      statuses,
+      latency: summarizeRtts(clients
+        .map(client => client.heartbeat && client.heartbeat.rtt)
+        .filter(rtt => typeof rtt === 'number'))
+    };
+  }
+
+  // ---------------------------
+  // Roles
+  // ---------------------------
+  function sendRole(ws) {
+    send(ws, { type: 'role', role: ws.role, privileges: privilegesFor(ws.role) });
+  }
+
+  // ---------------------------
+  // Predefined taunts
+  // ---------------------------
+  const taunts = [
+    "Is that all you got?",
+    "Try harder, champ!",
+    "Can't catch up, huh?",
+    "You're making it easy!",
+    "Top spot is mine!",
+    "Keep clicking, weakling!",
+    "Oh no, someone is winning!",
+    "Pathetic! Try again!",
+    "Amateur hour over here!",
+    "My grandma clicks faster!",
+    "Are you even trying?",
+    "Skill issue detected!",
+    "Better luck next time!",
+    "Git gud, noob!"
+  ];
+
+  // ---------------------------
+  // Game settings sent to clients
+  // ---------------------------
+  function sendGameConfig(ws) {
+    send(ws, {
+      type: 'gameConfig',
+      counterGoal: config.counterGoal,
+      cooldown: config.cooldowns.base,
+      powerUpCosts: config.powerUpCosts,
+      powerUps: powerUps.catalogue(),
+      achievements: achievements.catalogue(),
+      usernames: { minLength: config.usernames.minLength, maxLength: config.usernames.maxLength }
+    });
+  }
+
+  // ---------------------------
+  // Broadcast helpers
+  // ---------------------------
+  // Shared events go through Redis so every instance relays them to its
+  // own sockets; nothing is sent to local clients directly. Everything is
+  // scoped to one room.
+  function broadcast(room, data) {
+    pubsub.publish('broadcast', { room, data }).catch(err => logger.error('Publish failed', { room, type: data.type, err }));
+  }
+
+  function roomClients(room) {
+    return Array.from(wss.clients).filter(client =>
+      client.registered && client.room === room && client.readyState === WebSocket.OPEN
+    );
+  }
+
+  function sendToLocalClients(room, data) {
+    const done = metrics.fanout.startTimer({ type: data.type });
+    const frameFor = frameCache(data);
+    roomClients(room).forEach(client => client.send(frameFor(client)));
+    done();
+  }
+
+  pubsub.on('broadcast', ({ room, data }) => sendToLocalClients(room, data));
+
+  // Taunts skip local players with a power-up that blocks them (shield)
+  pubsub.on('taunt', async (data) => {
+    const done = metrics.fanout.startTimer({ type: 'taunt' });
+    const frameFor = frameCache({ type: 'taunt', message: data.message });
+
+    try {
+      await Promise.all(roomClients(data.room).map(async client => {
+        if (await powerUps.blocksTaunt(client.playerId, clock.now())) return;
+        client.send(frameFor(client));
+      }));
+    } catch (err) {
+      logger.error('Taunt fan-out failed', { room: data.room, err });
+    } finally {
+      done();
+    }
+  });
+
+  // Cached usernames (see leaderboard.js) go stale when a player registers again
+  pubsub.on('rename', ({ playerId }) => {
+    roomViews.forEach(view => view.usernames.forget(playerId));
+  });
+
+  // A session belongs to the connection that resumed it last. Any other
+  // connection still bound to the player, on any instance, is let go
+  // without counting as a disconnect, and told not to resume it again.
+  const SESSION_TAKEN_CLOSE_CODE = 4009;
+
+  pubsub.on('session', ({ playerId, connectionId }) => {
+    wss.clients.forEach(client => {
+      if (client.playerId !== playerId || client.connectionId === connectionId || !client.registered) return;
+      client.registered = false;
+      connectionLog(client).info('Session resumed on another connection');
+      client.close(SESSION_TAKEN_CLOSE_CODE, 'Session resumed elsewhere');
+    });
+  });
+
+  // Unlocks reach their player wherever they're connected, and the rest of
+  // the room too for announced achievements
+  pubsub.on('achievement', ({ room, playerId, username, achievement, announce }) => {
+    const message = { type: 'achievementUnlocked', playerId, username, achievement };
+    roomClients(room)
+      .filter(client => announce || client.playerId === playerId)
+      .forEach(client => send(client, message));
+  });
+
+  // ---------------------------
+  // Achievements
+  // ---------------------------
+  // Runs the achievement rules for a game event (see achievements.js) and
+  // publishes whatever the player just unlocked.
+  // player: {playerId, username}
+  async function checkAchievements(player, room, event, ctx) {
+    const unlocked = await achievements.evaluate(player.playerId, event, ctx, clock.now());
+
+    await Promise.all(unlocked.map(({ announce, ...achievement }) => {
+      metrics.achievements.inc({ achievement: achievement.id });
+      logger.info('Achievement unlocked', { playerId: player.playerId, username: player.username, room, achievement: achievement.id });
+      return pubsub.publish('achievement', {
+        room,
+        playerId: player.playerId,
+        username: player.username,
+        achievement,
+        announce: announce && config.achievements.announce
+      });
+    }));
+  }
+
+  // ---------------------------
+  // Bot detection
+  // ---------------------------
+  // Flags a player whose click timing looks scripted (see bots.js) and
+  // applies the configured sanction. Returns the sanction.
+  async function flagBot(ws, data, player, { reasons, stats }) {
+    const { sanction, flagRetention } = config.botDetection;
+    await store.flagPlayer(ws.playerId, { username: player.username, room: ws.room, reasons, stats, sanction }, flagRetention, clock.now());
+    metrics.botFlags.inc({ sanction });
+    connectionLog(ws).warn('Player flagged for scripted clicking', { username: player.username, reasons, stats, sanction });
+
+    if (sanction === SANCTIONS.kick) {
+      sendNack(ws, data, ERROR_CODES.KICKED, 'Automated clicking detected');
+      await store.removePlayer(ws.playerId, ws.room);
+      logEvent(ws.room, EVENT_TYPES.remove, { playerId: ws.playerId, reason: 'kicked' });
+      ws.registered = false;
+      ws.close(1008, 'Automated clicking detected');
+    }
+    return sanction;
+  }
+
+  // ---------------------------
+  // Taunts
+  // ---------------------------
+  async function broadcastTaunt(room) {
+    const [topPlayer] = await store.getTopPlayers(room, 1);
+    if (!topPlayer) return;
+
+    const taunt = tauntRandom.pick(taunts);
+
+    // Every instance delivers it to its own unshielded players in the room
+    await pubsub.publish('taunt', { room, message: `${topPlayer.username}: ${taunt}` });
+  }
+
+  // ---------------------------
+  // Leaderboard tick
+  // ---------------------------
+  // Clicks only bump a per-room version counter in Redis. Every tick each
+  // instance checks the rooms its clients are in and, for those that
+  // changed, sends the room's counter, a diff of its top-N and (when it
+  // changed) each player's own rank and neighbors.
+  const roomViews = new Map(); // room -> what this instance last sent its clients
+  let tickRunning = false;
+
+  function roomView(room) {
+    if (!roomViews.has(room)) {
+      roomViews.set(room, {
+        version: null,
+        top: [],
+        total: null,
+        totalPlayers: 0,
+        statuses: {},
+        usernames: new UsernameCache(store)
+      });
+    }
+    return roomViews.get(room);
+  }
+
+  async function roomTick(room, clients) {
+    const view = roomView(room);
+    const version = await store.getLeaderboardVersion(room);
+    if (version === view.version) return;
+    view.version = version;
+
+    const { topN, neighbors: radius } = config.leaderboard;
+    const [scores, total, statuses] = await Promise.all([
+      store.getRankedScores(room),
+      store.getTotalCounter(room),
+      store.getPlayerStatuses(room)
+    ]);
+    const ranked = rankScores(scores);
+    view.usernames.prune(new Set(ranked.map(entry => entry.playerId)));
+
+    if (total !== view.total) {
+      view.total = total;
+      sendToLocalClients(room, { type: 'totalCounter', total });
+    }
+    if (JSON.stringify(statuses) !== JSON.stringify(view.statuses)) {
+      view.statuses = statuses;
+      sendToLocalClients(room, { type: 'playerStatuses', statuses });
+    }
+
+    const top = await view.usernames.attach(ranked.slice(0, topN));
+    const { updated, removed } = diffEntries(view.top, top);
+    view.top = top;
+    view.totalPlayers = ranked.length;
+    if (updated.length > 0 || removed.length > 0) {
+      sendToLocalClients(room, { type: 'leaderboardDelta', updated, removed, totalPlayers: ranked.length });
+    }
+
+    // Personal rank, only re-sent when it changed for that client
+    const indexById = new Map(ranked.map((entry, i) => [entry.playerId, i]));
+    await Promise.all(clients.map(async client => {
+      const index = indexById.get(client.playerId);
+      if (index === undefined) return;
+
+      const rank = {
+        type: 'rank',
+        rank: index + 1,
+        score: ranked[index].score + (client.shadowPoints || 0),
+        totalPlayers: ranked.length,
+        neighbors: await view.usernames.attach(neighborhood(ranked, index, radius))
+      };
+      const key = JSON.stringify(rank);
+      if (key !== client.lastRankMessage) {
+        client.lastRankMessage = key;
+        send(client, rank);
+      }
+    }));
+  }
+
+  async function leaderboardTick() {
+    const clientsByRoom = new Map();
+    wss.clients.forEach(client => {
+      if (!client.registered || client.readyState !== WebSocket.OPEN) return;
+      if (!clientsByRoom.has(client.room)) clientsByRoom.set(client.room, []);
+      clientsByRoom.get(client.room).push(client);
+    });
+
+    // Rooms nobody here is in anymore are forgotten
+    roomViews.forEach((view, room) => {
+      if (!clientsByRoom.has(room)) roomViews.delete(room);
+    });
+
+    await Promise.all(Array.from(clientsByRoom, ([room, clients]) => roomTick(room, clients)));
+  }
+
+  // Full top-N for a client that just joined; later ticks send it diffs.
+  // The next tick is forced so it gets its own rank right away.
+  function sendLeaderboardSnapshot(ws) {
+    const view = roomView(ws.room);
+    send(ws, { type: 'leaderboard', leaderboard: view.top, totalPlayers: view.totalPlayers });
+    send(ws, { type: 'playerStatuses', statuses: view.statuses });
+    ws.lastRankMessage = null;
+    view.version = null;
+  }
+
+  repeat(async () => {
+    if (tickRunning) return; // a slow Redis round trip shouldn't stack ticks
+    tickRunning = true;
+    try {
+      await leaderboardTick();
+    } catch (err) {
+      logger.error('Leaderboard tick failed', { err });
+    } finally {
+      tickRunning = false;
+    }
+  }, config.leaderboard.tickInterval);
+
+  // ---------------------------
+  // Rounds
+  // ---------------------------
+  // Each room cycles lobby -> active -> results. Every instance checks all
+  // rooms; the one that claims a transition broadcasts it.
+  const ROUND_CHECK_INTERVAL = 500;
+
+  const rounds = new RoundManager(store, {
+    lobbyDuration: config.rounds.lobbyDuration,
+    roundDuration: config.rounds.roundDuration,
+    resultsDuration: config.rounds.resultsDuration,
+    counterGoal: config.counterGoal,
+    standingsSize: config.leaderboard.topN
+  });
+  let roundCheckRunning = false;
+
+  function roundStateMessage(round, now = clock.now()) {
+    return { type: 'roundState', round: round.number, phase: round.phase, remaining: Math.max(0, round.endsAt - now) };
+  }
+
+  async function sendRoundState(ws) {
+    if (!config.rounds.enabled) return;
+    send(ws, roundStateMessage(await rounds.current(ws.room, clock.now())));
+  }
+
+  // Results go first so clients show the standings before scores reset
+  function announceRound(room, { round, results, quiet, reset }) {
+    if (!quiet) logger.info('Round phase changed', { room, round: round.number, phase: round.phase });
+    if (results) {
+      const { winner } = results;
+      logEvent(room, EVENT_TYPES.roundEnded, {
+        round: results.round,
+        reason: results.reason,
+        winner: winner ? { playerId: winner.playerId, username: winner.username, score: winner.score } : null
+      });
+      logger.info('Round ended', { room, round: results.round, reason: results.reason, winner: results.winner });
+      broadcast(room, { type: 'roundEnded', ...results });
+      if (results.winner) {
+        checkAchievements(results.winner, room, 'roundWon', { round: results.round, score: results.winner.score })
+          .catch(err => logger.error('Achievement check failed', { room, err }));
+      }
+    }
+    if (reset) logEvent(room, EVENT_TYPES.reset, { round: round.number - 1 });
+    if (!quiet) {
+      logEvent(room, EVENT_TYPES.roundPhase, { round: round.number, phase: round.phase, endsAt: round.endsAt });
+      broadcast(room, roundStateMessage(round));
+    }
+  }
+
+  if (config.rounds.enabled) {
+    repeat(async () => {
+      if (roundCheckRunning) return;
+      roundCheckRunning = true;
+      try {
+        const roomNames = await store.getRoomNames();
+        await Promise.all(roomNames.map(async room => {
+          const change = await rounds.advance(room, clock.now());
+          if (change) announceRound(room, change);
+        }));
+      } catch (err) {
+        logger.error('Round check failed', { err });
+      } finally {
+        roundCheckRunning = false;
+      }
+    }, ROUND_CHECK_INTERVAL);
+  }
+
+  // ---------------------------
+  // Rate limits
+  // ---------------------------
+  // Token buckets per message type, per connection and per IP (see ratelimit.js)
+  const limiter = new RateLimiter(config.rateLimits);
+
+  // Closed for flooding; clients should wait `retryAfter` before reconnecting
+  const RATE_LIMIT_CLOSE_CODE = 4029;
+
+  function clientIp(req) {
+    const forwarded = config.rateLimits.trustProxy && req.headers['x-forwarded-for'];
+    return forwarded ? forwarded.split(',')[0].trim() : req.socket.remoteAddress;
+  }
+
+  // Tells a client its message was refused and how long to back off;
+  // muted clients hear nothing more until the mute ends
+  function refuseRateLimited(ws, data, type, { level, retryAfter, silent }) {
+    metrics.throttled.inc({ type, level });
+    if (silent) return;
+
+    if (level === LIMIT_LEVELS.disconnect) {
+      connectionLog(ws).warn('Disconnecting for exceeding rate limits', { type });
+      send(ws, { type: 'rateLimited', requestType: type, level, retryAfter });
+      ws.close(RATE_LIMIT_CLOSE_CODE, 'Rate limit exceeded');
+      return;
+    }
+    if (level === LIMIT_LEVELS.mute) connectionLog(ws).warn('Muting connection for exceeding rate limits', { type, retryAfter });
+
+    if (isAcknowledged(data)) {
+      send(ws, nackMessage(data, { code: ERROR_CODES.RATE_LIMITED, message: `Too many ${type} messages`, retryAfter }));
+    }
+    send(ws, { type: 'rateLimited', requestType: type, level, retryAfter });
+  }
+
+  // ---------------------------
+  // Message handlers
+  // ---------------------------
+  // One handler per client message type declared in protocol.js. Messages are
+  // validated against their schema before a handler sees them.
+  function sendError(ws, error, requestType, extra) {
+    send(ws, errorMessage(error, requestType, extra));
+  }
+
+  function sendAck(ws, data, outcome, result) {
+    send(ws, ackMessage(data, outcome, result));
+  }
+
+  function sendNack(ws, data, code, message) {
+    send(ws, nackMessage(data, { code, message }));
+  }
+
+  // Rejects a message: `nack` for acknowledged requests, `error` otherwise
+  function reject(ws, data, error) {
+    if (isAcknowledged(data)) {
+      send(ws, nackMessage(data, error));
+    } else {
+      sendError(ws, error, data && data.type);
+    }
+  }
+
+  const handlers = {
+    // -----------------------
+    // Protocol version negotiation
+    // -----------------------
+    async hello(ws, data) {
+      if (!SUPPORTED_VERSIONS.includes(data.version)) {
+        sendError(ws, {
+          code: ERROR_CODES.UNSUPPORTED_VERSION,
+          message: `Protocol version ${data.version} is not supported`
+        }, 'hello', { supportedVersions: SUPPORTED_VERSIONS });
+        ws.close(1002, 'Unsupported protocol version');
+        return;
+      }
+
+      ws.protocolVersion = data.version;
+      send(ws, { type: 'welcome', version: data.version, supportedVersions: SUPPORTED_VERSIONS });
+    },
+
+    // -----------------------
+    // Rooms
+    // -----------------------
+    async listRooms(ws) {
+      send(ws, { type: 'rooms', rooms: await store.listRooms(), defaultRoom: config.rooms.defaultRoom });
+    },
+
+    async createRoom(ws, data) {
+      if (await store.countRooms() >= config.rooms.maxRooms) {
+        sendNack(ws, data, ERROR_CODES.TOO_MANY_ROOMS, `At most ${config.rooms.maxRooms} rooms can be open`);
+        return;
+      }
+      if (!(await store.createRoom(data.room, clock.now()))) {
+        sendNack(ws, data, ERROR_CODES.ROOM_EXISTS, `Room ${data.room} already exists`);
+        return;
+      }
+      logEvent(data.room, EVENT_TYPES.created, {});
+      sendAck(ws, data, 'created', { room: data.room });
+    },
+
+    // -----------------------
+    // Historical leaderboards
+    // -----------------------
+    async getHistory(ws, data) {
+      const player = ws.registered ? await store.getPlayer(ws.playerId) : null;
+      const history = await store.getHistory(
+        data.board, data.period, config.leaderboard.historySize, player && player.username, clock.now()
+      );
+      send(ws, {
+        type: 'history',
+        board: data.board,
+        period: data.period,
+        ...history
+      });
+    },
+
+    // -----------------------
+    // Replays
+    // -----------------------
+    // A connection watches one replay at a time; starting another stops it
+    async watchReplay(ws, data) {
+      const match = await findMatch(data.room, data.round);
+      if (!match) {
+        const which = data.round === undefined ? 'No finished round' : `No round ${data.round}`;
+        sendNack(ws, data, ERROR_CODES.NO_REPLAY, `${which} in the event log of ${data.room}`);
+        return;
+      }
+
+      if (ws.replay) ws.replay.stop();
+      const replay = new Replay(match, {
+        room: data.room,
+        speed: data.speed || 1,
+        topN: config.leaderboard.topN,
+        send: message => send(ws, message),
+        onEnd: reason => {
+          if (ws.replay === replay) ws.replay = null;
+          if (ws.readyState === WebSocket.OPEN) send(ws, { type: 'replayEnded', room: data.room, round: match.round, reason });
+        }
+      });
+      ws.replay = replay;
+      connectionLog(ws).info('Replay started', { replayRoom: data.room, round: match.round, events: match.events.length });
+      sendAck(ws, data, 'replaying', { room: data.room, round: match.round, duration: replay.duration });
+      replay.start();
+    },
+
+    setReplaySpeed(ws, data) {
+      if (!ws.replay) {
+        sendError(ws, { code: ERROR_CODES.NO_REPLAY, message: 'No replay running' }, data.type);
+        return;
+      }
+      ws.replay.setSpeed(data.speed);
+    },
+
+    stopReplay(ws, data) {
+      if (!ws.replay) {
+        sendError(ws, { code: ERROR_CODES.NO_REPLAY, message: 'No replay running' }, data.type);
+        return;
+      }
+      ws.replay.stop();
+    },
+
+    // -----------------------
+    // Player registration
+    // -----------------------
+    async register(ws, data) {
+      const playerId = ws.playerId;
+      const room = data.room || config.rooms.defaultRoom;
+
+      const { username, problem } = checkUsername(data.username, config.usernames);
+      if (problem) {
+        sendNack(ws, data, ERROR_CODES.INVALID_USERNAME, problem);
+        return;
+      }
+      if (!(await store.roomExists(room))) {
+        sendNack(ws, data, ERROR_CODES.ROOM_NOT_FOUND, `No room named ${room}`);
+        return;
+      }
+      if (!(await store.claimUsername(username, playerId))) {
+        sendNack(ws, data, ERROR_CODES.USERNAME_TAKEN, `Someone is already playing as ${username}`);
+        return;
+      }
+
+      // Registering again (e.g. into another room) starts over
+      const reregistering = ws.registered;
+      if (reregistering) {
+        await store.removePlayer(playerId, ws.room, username);
+        logEvent(ws.room, EVENT_TYPES.remove, { playerId, reason: 'reregistered' });
+      }
+
+      ws.role = resolveRole(data.token, config.roleTokens);
+
+      // Presence first so the eviction sweep never sees a half-added player
+      await store.touchPresence([playerId], config.sessionGracePeriod);
+      await store.addPlayer(playerId, username, ws.resumeToken, ws.role, room);
+      if (reregistering) await pubsub.publish('rename', { playerId });
+      ws.room = room;
+      ws.registered = true;
+      ws.shadowPoints = 0;
+      ws.random = playerStream(random, playerId);
+      markActive(ws);
+      logEvent(room, EVENT_TYPES.register, { playerId, username });
+      connectionLog(ws).info('Player registered', { username, role: ws.role });
+      sendAck(ws, data, 'registered', { score: 0, room, username });
+      sendRole(ws);
+      send(ws, { type: 'achievements', unlocked: await achievements.unlocked(playerId) });
+      send(ws, { type: 'totalCounter', total: await store.getTotalCounter(room) });
+      await sendRoundState(ws);
+      sendLeaderboardSnapshot(ws);
+    },
+
+    // -----------------------
+    // Resume a previous session
+    // -----------------------
+    async resume(ws, data) {
+      // Resuming would leave this connection's own player behind
+      if (ws.registered) {
+        sendError(ws, {
+          code: ERROR_CODES.ALREADY_REGISTERED,
+          message: 'This connection already has a player; register to switch'
+        }, data.type);
+        return;
+      }
+
+      const resumedId = await store.resolveSession(data.resumeToken);
+
+      if (!resumedId) {
+        connectionLog(ws).info('Resume failed, session expired');
+        send(ws, { type: 'resumeFailed' });
+        return;
+      }
+
+      ws.playerId = resumedId;
+      ws.resumeToken = data.resumeToken;
+      await store.touchPresence([resumedId], config.sessionGracePeriod);
+
+      const now = clock.now();
+      const [player, activePowerUps] = await Promise.all([
+        store.getPlayer(resumedId),
+        store.getPowerUps(resumedId, now)
+      ]);
+      const total = await store.getTotalCounter(player.room);
+      ws.room = player.room;
+      ws.registered = true;
+
+      // Remaining time rather than endTime so client clock skew doesn't matter
+      const remaining = {};
+      Object.entries(activePowerUps).forEach(([type, { endTime }]) => {
+        remaining[type] = endTime - now;
+      });
+
+      ws.role = player.role || DEFAULT_ROLE;
+      ws.shadowPoints = player.shadowPoints;
+      ws.random = playerStream(random, resumedId);
+      markActive(ws);
+      logEvent(player.room, EVENT_TYPES.resume, { playerId: resumedId });
+      connectionLog(ws).info('Player resumed', { username: player.username });
+      await pubsub.publish('session', { playerId: resumedId, connectionId: ws.connectionId });
+
+      send(ws, {
+        type: 'resumed',
+        playerId: resumedId,
+        username: player.username,
+        room: player.room,
+        score: player.score,
+        powerUps: remaining
+      });
+      sendRole(ws);
+      send(ws, { type: 'achievements', unlocked: await achievements.unlocked(resumedId) });
+      send(ws, { type: 'totalCounter', total });
+      await sendRoundState(ws);
+      sendLeaderboardSnapshot(ws);
+    },
+
+    // -----------------------
+    // Buy power-up
+    // -----------------------
+    async buyPowerUp(ws, data) {
+      const playerId = ws.playerId;
+      const powerUpType = data.powerUp;
+      const player = await store.getPlayer(playerId);
+      const buyer = { playerId, username: player ? player.username : '', room: ws.room, score: player ? player.score : 0 };
+      const now = clock.now();
+
+      if (config.rounds.enabled && !isPlayable(await rounds.current(ws.room, now), now)) {
+        sendNack(ws, data, ERROR_CODES.ROUND_NOT_ACTIVE, 'Power-ups can only be bought during a round');
+        return;
+      }
+
+      const { refusal, score, duration, events } = await powerUps.purchase(buyer, powerUpType, now);
+
+      if (refusal) {
+        // Unknown power-ups share one label so clients can't add series
+        metrics.powerUps.inc({ powerUp: powerUps.isPurchasable(powerUpType) ? powerUpType : 'unknown', outcome: refusal[0] });
+        sendNack(ws, data, ...refusal);
+        send(ws, { 
+          type: 'powerUpError', 
+          message: 'Cannot purchase power-up' 
+        });
+        return;
+      }
+
+      metrics.powerUps.inc({ powerUp: powerUpType, outcome: 'activated' });
+      logEvent(ws.room, EVENT_TYPES.powerUp, {
+        playerId,
+        username: buyer.username,
+        powerUp: powerUpType,
+        cost: powerUps.costs[powerUpType],
+        duration,
+        effects: events.map(({ target, status, duration: statusDuration, points }) => ({
+          playerId: target.playerId, status, duration: statusDuration, points
+        }))
+      });
+      if (duration > 0) logExpiry(ws.room, playerId, powerUpType, duration);
+      events
+        .filter(({ status, duration: statusDuration }) => status && statusDuration > 0)
+        .forEach(({ target, status, duration: statusDuration }) => logExpiry(ws.room, target.playerId, status, statusDuration));
+      connectionLog(ws).info('Power-up activated', { powerUp: powerUpType, score, events: events.length });
+      sendAck(ws, data, 'activated', { powerUp: powerUpType, duration, score });
+      send(ws, { 
+        type: 'powerUpActivated', 
+        powerUp: powerUpType,
+        duration: duration
+      });
+
+      // Everyone in the room hears about power-ups used on someone else
+      events.forEach(({ target, status, duration: statusDuration, points }) => {
+        broadcast(ws.room, {
+          type: 'powerUpUsed',
+          powerUp: powerUpType,
+          by: { playerId, username: buyer.username },
+          target: { playerId: target.playerId, username: target.username },
+          status,
+          duration: statusDuration,
+          points
+        });
+      });
+
+      await checkAchievements({ playerId, username: buyer.username }, ws.room, 'powerUp', { powerUp: powerUpType, events });
+    },
+
+    // -----------------------
+    // Increment counter
+    // -----------------------
+    async increment(ws, data) {
+      const playerId = ws.playerId;
+      const now = clock.now();
+      const player = await store.getPlayer(playerId);
+      const privileges = privilegesFor(ws.role); // never trust client-asserted flags
+      const boosted = privileges.boostedMultiplier;
+
+      if (!player) {
+        sendNack(ws, data, ERROR_CODES.NOT_REGISTERED, 'Player no longer exists');
+        return;
+      }
+
+      if (config.rounds.enabled && !isPlayable(await rounds.current(ws.room, now), now)) {
+        sendNack(ws, data, ERROR_CODES.ROUND_NOT_ACTIVE, 'Wait for the next round to start');
+        return;
+      }
+
+      // Power-up effects on this click (multiplier, no cooldown, frozen...)
+      const effects = await powerUps.incrementEffects(playerId, now);
+      if (effects.blocked) {
+        sendNack(ws, data, ERROR_CODES.POWERUP_BLOCKED, effects.blocked);
+        return;
+      }
+
+      // Check cooldown (unless a power-up lifts it or the role has none)
+      const skipCooldown = effects.skipCooldown || privileges.noCooldown;
+      let sanction = player.sanction;
+      const cooldown = sanction === SANCTIONS.throttle ? config.botDetection.throttleCooldown : config.cooldowns.base;
+
+      // Scripted-looking timing flags the player once; the sanction sticks
+      if (config.botDetection.enabled && !skipCooldown && !sanction) {
+        const findings = ws.clicks.record(now, cooldown);
+        if (findings) {
+          sanction = await flagBot(ws, data, player, findings);
+          if (sanction === SANCTIONS.kick) return;
+        }
+      }
+
+      if (!skipCooldown && !(await store.claimCooldown(playerId, cooldown, now))) {
+        metrics.rateLimited.inc();
+        sendNack(ws, data, ERROR_CODES.RATE_LIMITED, 'Increment sent during cooldown');
+        send(ws, { type: 'rateLimited' });
+        return;
+      }
+
+      // Multiplier: power-ups, the lucky roll, role bonus and streak bonus
+      const streak = nextStreak(player, now);
+      await store.updateStreak(playerId, streak, now);
+      const { increment: finalIncrement, multiplier, lucky, roleBonus, streakBonus } = scoreClick(
+        { base: effects.multiplier, boosted, streak },
+        ws.random
+      );
+
+      // Multiplied clicks extend the cooldown claimed above
+      if (!skipCooldown && multiplier > 1) {
+        await store.setCooldown(playerId, Math.max(cooldown, config.cooldowns.multiplied), now);
+      }
+
+      // Shadowed players see their clicks count; the leaderboard, counter,
+      // history and achievements never hear about them
+      if (sanction === SANCTIONS.shadow) {
+        ws.shadowPoints = await store.addShadowPoints(playerId, finalIncrement);
+        const total = await store.getTotalCounter(ws.room);
+        sendAck(ws, data, 'applied', { increment: finalIncrement, multiplier, score: player.score + ws.shadowPoints, total });
+        return;
+      }
+      const { score, total } = await store.addPoints(playerId, ws.room, finalIncrement);
+      logEvent(ws.room, EVENT_TYPES.increment, {
+        playerId, username: player.username, increment: finalIncrement, multiplier, lucky, roleBonus, streakBonus, score, total
+      });
+      sendAck(ws, data, 'applied', { increment: finalIncrement, multiplier, score, total });
+      await store.appendAudit(playerId, {
+        type: 'increment',
+        delta: finalIncrement,
+        score,
+        room: ws.room,
+        multiplier,
+        lucky,
+        roleBonus,
+        powerUps: effects.active,
+        streak,
+        streakBonus
+      });
+      await store.recordHistory(player.username, finalIncrement, score, now);
+
+      // Accepted clicks of this connection within the achievement window
+      ws.recentClicks = (ws.recentClicks || []).filter(time => now - time < RECENT_CLICKS_WINDOW);
+      ws.recentClicks.push(now);
+      await checkAchievements({ playerId, username: player.username }, ws.room, 'increment', {
+        score,
+        streak,
+        increment: finalIncrement,
+        recentClicks: ws.recentClicks.length
+      });
+
+      // Reaching the counter goal ends the round
+      if (config.rounds.enabled) {
+        const change = await rounds.checkGoal(ws.room, total, now);
+        if (change) announceRound(ws.room, change);
+      }
+
+      // Counter and leaderboard go out with the next tick
+      if (tauntRandom.chance(TAUNT_CHANCE)) await broadcastTaunt(ws.room);
+
+      // Send multiplier info to player
+      if (finalIncrement > 1) {
+        send(ws, { 
+          type: 'multiplierGained', 
+          multiplier: finalIncrement 
+        });
+      }
+    }
+  };
+
+  // ---------------------------
+  // WebSocket connection
+  // ---------------------------
+  wss.on('connection', (ws, req) => {
+    const ip = clientIp(req);
+    ws.encoding = encodingFor(ws.protocol);
+
+    // Upgraded just as the listener closed
+    if (shuttingDown) {
+      ws.close(SERVICE_RESTART_CLOSE_CODE, 'Server restarting');
+      return;
+    }
+
+    if (config.rateLimits.enabled) {
+      const refusal = limiter.admit(ip);
+      if (refusal) {
+        metrics.connectionsRefused.inc();
+        logger.warn('Connection refused by rate limits', { ip, reason: refusal.reason });
+        send(ws, { type: 'rateLimited', requestType: 'connect', level: LIMIT_LEVELS.disconnect, retryAfter: refusal.retryAfter });
+        ws.close(RATE_LIMIT_CLOSE_CODE, refusal.reason);
+        return;
+      }
+      ws.limits = limiter.forConnection(ip);
+    }
+
+    // Replaced by the resumed player's id if the client sends `resume`
+    ws.playerId = Math.random().toString(36).substr(2, 9);
+    ws.resumeToken = uuidv4();
+    ws.role = DEFAULT_ROLE;
+    ws.protocolVersion = PROTOCOL_VERSION; // until the client says otherwise in `hello`
+    ws.connectionId = uuidv4();
+    ws.clicks = new ClickTracker(config.botDetection);
+    ws.heartbeat = new Heartbeat(config.heartbeat);
+    ws.on('pong', payload => onPong(ws, payload));
+    metrics.connections.inc();
+    connectionLog(ws).info('Client connected', { encoding: ws.encoding, ip });
+    handle.emit('connection', { connectionId: ws.connectionId, playerId: ws.playerId, ip });
+    send(ws, {
+      type: 'assignId',
+      playerId: ws.playerId,
+      resumeToken: ws.resumeToken,
+      protocolVersion: PROTOCOL_VERSION
+    });
+    sendGameConfig(ws);
+
+    ws.on('message', async (msg, isBinary) => {
+      if (ws.readyState !== WebSocket.OPEN) return; // closing, e.g. after a rate-limit disconnect
+      messagesThisSecond++;
+      const { data, error } = parseClientMessage(msg, isBinary);
+      const type = error ? 'invalid' : data.type;
+      metrics.messages.inc({ type });
+
+      // Junk counts against the `invalid` bucket before it costs any more work
+      const limited = ws.limits && ws.limits.check(type);
+      if (limited) {
+        refuseRateLimited(ws, data, type, limited);
+        return;
+      }
+      if (error) {
+        connectionLog(ws).debug('Rejected message', { code: error.code, reason: error.message });
+        reject(ws, data, error);
+        return;
+      }
+      if (shuttingDown) {
+        reject(ws, data, { code: ERROR_CODES.SHUTTING_DOWN, message: 'Server is restarting, send this again after reconnecting' });
+        return;
+      }
+
+      if (CLIENT_MESSAGES[data.type].requiresPlayer && !ws.registered) {
+        reject(ws, data, {
+          code: ERROR_CODES.NOT_REGISTERED,
+          message: 'Send register or resume before this message'
+        });
+        return;
+      }
+
+      if (ACTIVITY_TYPES.has(data.type)) markActive(ws);
+
+      const done = metrics.handling.startTimer({ type: data.type });
+      inFlight++;
+      try {
+        await handlers[data.type](ws, data);
+      } catch (err) {
+        connectionLog(ws).error('Error handling message', { type: data.type, err });
+        reject(ws, data, { code: ERROR_CODES.INTERNAL_ERROR, message: 'Server error while handling message' });
+      } finally {
+        inFlight--;
+        done();
+      }
+    });
+
+    // The player stays on the leaderboard until the grace period runs out,
+    // giving the client a chance to reconnect and resume
+    ws.on('close', async (code) => {
+      connectionLog(ws).info('Client disconnected', { code });
+      handle.emit('disconnect', { connectionId: ws.connectionId, playerId: ws.playerId, room: ws.room || null, code });
+      if (ws.limits) limiter.release(ip);
+      if (ws.replay) ws.replay.stop();
+      if (!ws.registered) return;
+      logEvent(ws.room, EVENT_TYPES.disconnect, { playerId: ws.playerId });
+      updateStatus(ws, STATUSES.away);
+      try {
+        await store.touchPresence([ws.playerId], config.sessionGracePeriod);
+      } catch (err) {
+        connectionLog(ws).error('Error updating presence', { err });
+      }
+    });
+  });
+
+  // ---------------------------
+  // Presence refresh + eviction
+  // ---------------------------
+  // Connected players are kept present; anyone whose presence has lapsed
+  // (disconnected past the grace period, or lost in a crashed instance) is evicted.
+  // Rooms left empty for a whole grace period are closed, except the default one.
+  repeat(async () => {
+    try {
+      const connected = Array.from(wss.clients)
+        .filter(client => client.registered && client.readyState === WebSocket.OPEN)
+        .map(client => client.playerId);
+      await store.touchPresence(connected, config.sessionGracePeriod);
+
+      const absent = await store.findAbsentPlayers();
+      await Promise.all(absent.map(({ playerId, room }) => store.removePlayer(playerId, room)));
+      absent.forEach(({ playerId, room }) => {
+        logEvent(room, EVENT_TYPES.remove, { playerId, reason: 'evicted' });
+        logger.info('Evicted absent player', { playerId, room });
+      });
+
+      const closed = await store.removeEmptyRooms(config.rooms.defaultRoom, clock.now() - config.sessionGracePeriod);
+      closed.forEach(room => logger.info('Closed empty room', { room }));
+    } catch (err) {
+      logger.error('Error sweeping sessions', { err });
+    }
+  }, config.presenceRefreshInterval);
+
+  // ---------------------------
+  // Heartbeat
+  // ---------------------------
+  // Every socket is pinged each interval (see heartbeat.js). Dead ones are
+  // terminated, which runs the usual close handling, and each pong tells
+  // the client its round trip. Statuses go to Redis, and from there into
+  // every instance's leaderboard ticks.
+  const ACTIVITY_TYPES = new Set(['increment', 'buyPowerUp']);
+
+  function updateStatus(ws, status = ws.heartbeat.status(Date.now())) {
+    if (!ws.registered || status === ws.status) return;
+    ws.status = status;
+    store.setPlayerStatus(ws.room, ws.playerId, status)
+      .catch(err => connectionLog(ws).error('Error updating player status', { status, err }));
+  }
+
+  // Joining, resuming, clicking and buying all count as activity
+  function markActive(ws) {
+    ws.heartbeat.acted(Date.now());
+    updateStatus(ws);
+  }
+
+  function onPong(ws, payload) {
+    const rtt = ws.heartbeat.pong(Date.now(), payload.toString());
+    if (rtt === null) return;
+    metrics.rtt.observe(rtt / 1000);
+    send(ws, { type: 'latency', rtt });
+    updateStatus(ws);
+  }
+
+  repeat(() => {
+    const now = Date.now();
+    wss.clients.forEach(client => {
+      if (!client.heartbeat) return; // refused on connect, already closing
+      const payload = client.heartbeat.beat(now);
+      if (payload === null) {
+        metrics.deadConnections.inc();
+        connectionLog(client).warn('Terminating unresponsive connection', { missed: client.heartbeat.missed });
+        client.terminate();
+        return;
+      }
+      updateStatus(client);
+      client.ping(payload);
+    });
+  }, config.heartbeat.interval);
+
+  // ---------------------------
+  // Start and stop
+  // ---------------------------
+  // stop() shuts down gracefully: the server stops taking connections and
+  // messages, tells clients a restart is coming, lets messages already being
+  // handled finish, saves a snapshot (see snapshot.js) and closes every
+  // socket with 1012, which clients take as a cue to reconnect and resume.
+  // Players keep their grace period like any other disconnect. Each wait
+  // gets a share of `shutdown.timeout`.
+  const SERVICE_RESTART_CLOSE_CODE = 1012;
+  const SHUTDOWN_POLL_INTERVAL = 50;
+
+  const snapshotFile = config.shutdown.snapshotFile && path.resolve(__dirname, config.shutdown.snapshotFile);
+  let shuttingDown = false;
+  let stopping = null;
+  let inFlight = 0; // client messages being handled
+
+  // Resolves once `condition` holds or `ms` have passed
+  function waitFor(condition, ms) {
+    const deadline = Date.now() + ms;
+    return new Promise(resolve => {
+      const check = () => {
+        if (condition() || Date.now() >= deadline) return resolve(condition());
+        setTimeout(check, SHUTDOWN_POLL_INTERVAL);
+      };
+      check();
+    });
+  }
+
+  async function restoreFromSnapshot() {
+    try {
+      const { playerIds, ...result } = await restoreSnapshot(snapshotFile, store);
+      if (!result.restored) {
+        logger.info('Snapshot not restored', { file: snapshotFile, reason: result.reason });
+        return;
+      }
+      // Restored players get a grace period to reconnect and resume
+      await store.touchPresence(playerIds, config.sessionGracePeriod);
+      logger.info('Restored game from snapshot', { file: snapshotFile, ...result });
+    } catch (err) {
+      logger.error('Snapshot restore failed', { file: snapshotFile, err });
+    }
+  }
+
+  // Rejects with `message` if `promise` hasn't settled within `ms`
+  function withTimeout(promise, ms, message) {
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+      timer = setTimeout(() => reject(new Error(message)), ms);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+  }
+
+  let connectAbandoned = false; // start() gave up waiting
+
+  // Nothing is logged or subscribed once start() has given up
+  async function connectRedis() {
+    if (ownsRedis) await redisClient.connect();
+    if (connectAbandoned) return;
+    if (ownsRedis) logger.info('Connected to Redis');
+    await pubsub.start();
+    logger.info('Subscribed to broadcast channels');
+  }
+
+  // Resolves with {port, url} once the server is listening. Rejects if
+  // Redis isn't reachable within `redisConnectTimeout`.
+  async function start() {
+    try {
+      await withTimeout(connectRedis(), config.redisConnectTimeout,
+        `Redis not reachable within ${config.redisConnectTimeout}ms`);
+    } catch (err) {
+      // Otherwise the clients keep retrying in the background
+      connectAbandoned = true;
+      await pubsub.stop();
+      if (ownsRedis) await closeClient(redisClient);
+      throw err;
+    }
+    if (snapshotFile && config.shutdown.restoreOnStart) await restoreFromSnapshot();
+    if (await store.createRoom(config.rooms.defaultRoom, clock.now())) {
+      logEvent(config.rooms.defaultRoom, EVENT_TYPES.created, {});
+    }
+    if (config.events.rebuildOnStart) await rebuildFromEventLog();
+
+    await new Promise((resolve, reject) => {
+      httpServer.once('error', reject);
+      httpServer.listen(config.port, () => {
+        httpServer.off('error', reject);
+        resolve();
+      });
+    });
+    jobs.forEach(([job, ms]) => intervals.push(setInterval(job, ms)));
+    intervals.push(monitorEventLoop(metrics.eventLoopLag));
+
+    handle.port = httpServer.address().port;
+    handle.url = `ws://localhost:${handle.port}`;
+    logger.info('Enhanced WebSocket server running', { url: handle.url });
+    logger.info('HTTP API and client files available', { url: `http://localhost:${handle.port}` });
+    handle.emit('listening', { port: handle.port, url: handle.url });
+    return { port: handle.port, url: handle.url };
+  }
+
+  async function shutdown() {
+    shuttingDown = true;
+    connectAbandoned = true;
+    logger.info('Shutting down', { connections: wss.clients.size, inFlight });
+
+    httpServer.close();
+    intervals.forEach(clearInterval);
+    wss.clients.forEach(client => {
+      if (client.replay) client.replay.stop();
+      send(client, { type: 'serverShutdown', reconnectIn: config.shutdown.reconnectDelay });
+    });
+
+    // Half the time for work to drain, a quarter for the snapshot and the
+    // rest for closing sockets. Without Redis there's nothing to save, and
+    // the snapshot's reads would wait for a connection forever.
+    await waitFor(() => inFlight === 0, config.shutdown.timeout / 2);
+    if (snapshotFile && !redisClient.isReady) {
+      logger.warn('Snapshot skipped, Redis is not connected', { file: snapshotFile });
+    } else if (snapshotFile) {
+      try {
+        const result = await withTimeout(saveSnapshot(snapshotFile, store, clock.now()),
+          config.shutdown.timeout / 4, 'Snapshot timed out');
+        logger.info('Saved snapshot', { file: snapshotFile, ...result });
+      } catch (err) {
+        logger.error('Snapshot save failed', { file: snapshotFile, err });
+      }
+    }
+
+    wss.clients.forEach(client => client.close(SERVICE_RESTART_CLOSE_CODE, 'Server restarting'));
+    if (!(await waitFor(() => wss.clients.size === 0, config.shutdown.timeout / 4))) {
+      wss.clients.forEach(client => client.terminate());
+    }
+    wss.close();
+    httpServer.closeAllConnections();
+    expiryTimers.forEach(clearTimeout);
+    limiter.stop();
+
+    await pubsub.stop();
+    if (ownsRedis) await closeClient(redisClient);
+    logger.info('Shutdown complete');
+    handle.emit('stopped', {});
+  }
+
+  // Safe to call more than once; every call waits for the same shutdown
+  function stop() {
+    if (!stopping) stopping = shutdown();
+    return stopping;
+  }
+
+  // ---------------------------
+  // Inspection
+  // ---------------------------
+  // What this instance is doing right now: its sockets with their player,
+  // status and round trip, and the rooms its clients are in as of the last
+  // leaderboard tick
+  function inspect() {
+    return {
+      listening: httpServer.listening,
+      shuttingDown,
+      port: handle.port,
+      stats: instanceStats(),
+      clients: Array.from(wss.clients).map(client => ({
+        connectionId: client.connectionId,
+        playerId: client.playerId,
+        registered: Boolean(client.registered),
+        room: client.room || null,
+        role: client.role,
+        encoding: client.encoding,
+        status: client.status || null,
+        rtt: client.heartbeat ? client.heartbeat.rtt : null
+      })),
+      rooms: Object.fromEntries(Array.from(roomViews, ([room, view]) => [room, {
+        total: view.total,
+        totalPlayers: view.totalPlayers,
+        top: view.top,
+        statuses: view.statuses
+      }]))
+    };
+  }
+
+  // A room as Redis has it, whichever instances its players are on
+  async function roomState(room) {
+    const [total, round, top, totalPlayers, statuses] = await Promise.all([
+      store.getTotalCounter(room),
+      store.getRound(room),
+      store.getTopPlayers(room, config.leaderboard.topN),
+      store.countPlayers(room),
+      store.getPlayerStatuses(room)
+    ]);
+    return { room, total, round, totalPlayers, leaderboard: rankScores(top), statuses };
+  }
+
+  // ---------------------------
+  // Handle
+  // ---------------------------
+  const handle = Object.assign(new EventEmitter(), {
+    port: null, // set by start(); config.port 0 picks a free one
+    url: null,
+    config,
+    store,
+    clock,
+    rng: random,
+    registry,
+    start,
+    stop,
+    inspect,
+    roomState
+  });
+  return handle;
+}
+
+module.exports = { createServer };
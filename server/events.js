@@ -0,0 +1,217 @@
+// server/events.js
+// The game's event log: every accepted action is appended, in order, to
+// its room's Redis stream after it has been applied. Redis state stays the
+// source of truth; the log is what lets us rebuild it (rebuildRoom) and
+// replay a finished round to spectators (see replay.js).
+//
+// Every event has a `type` and the game `time` (see clock.js):
+//   created        - {}                                  room opened; earlier events were a closed room's
+//   register       - {playerId, username}
+//   resume         - {playerId}
+//   disconnect     - {playerId}
+//   remove         - {playerId, reason}                  left, evicted, kicked or re-registered
+//   increment      - {playerId, username, increment, multiplier, lucky, roleBonus, streakBonus, score, total}
+//   powerUp        - {playerId, username, powerUp, cost, duration, effects}
+//                    effects: [{playerId, status, duration, points}] on other players
+//   powerUpExpired - {playerId, powerUp}
+//   roundPhase     - {round, phase, endsAt}
+//   roundEnded     - {round, reason, winner}             winner: {playerId, username, score} or null
+//   reset          - {round}                             scores and counter back to 0
+//
+// Scores are rebuilt from deltas (`increment`, `cost`, `points`); the
+// absolute `score` and `total` on increments are kept for checking.
+
+const { PHASES } = require('./rounds');
+
+const EVENT_TYPES = {
+  created: 'created',
+  register: 'register',
+  resume: 'resume',
+  disconnect: 'disconnect',
+  remove: 'remove',
+  increment: 'increment',
+  powerUp: 'powerUp',
+  powerUpExpired: 'powerUpExpired',
+  roundPhase: 'roundPhase',
+  roundEnded: 'roundEnded',
+  reset: 'reset'
+};
+
+// ---------------------------
+// Reducer
+// ---------------------------
+// state: {players: Map(playerId -> {username, score, connected}), total, round}
+function emptyState() {
+  return { players: new Map(), total: 0, round: null };
+}
+
+// Players the log first meets mid-game (its start was trimmed) are added
+// with whatever name the event carries
+function playerIn(state, playerId, username = null) {
+  if (!state.players.has(playerId)) state.players.set(playerId, { username, score: 0, connected: true });
+  const player = state.players.get(playerId);
+  if (username) player.username = username;
+  return player;
+}
+
+// Applies one event to `state` in place and returns it
+function applyEvent(state, event) {
+  switch (event.type) {
+    case EVENT_TYPES.created:
+      state.players.clear();
+      state.total = 0;
+      state.round = null;
+      break;
+    case EVENT_TYPES.register:
+      state.players.set(event.playerId, { username: event.username, score: 0, connected: true });
+      break;
+    case EVENT_TYPES.resume:
+      playerIn(state, event.playerId).connected = true;
+      break;
+    case EVENT_TYPES.disconnect:
+      if (state.players.has(event.playerId)) state.players.get(event.playerId).connected = false;
+      break;
+    case EVENT_TYPES.remove:
+      state.players.delete(event.playerId);
+      break;
+    case EVENT_TYPES.increment:
+      playerIn(state, event.playerId, event.username).score += event.increment;
+      state.total += event.increment;
+      break;
+    case EVENT_TYPES.powerUp: {
+      const buyer = playerIn(state, event.playerId, event.username);
+      buyer.score -= event.cost;
+      event.effects.forEach(({ playerId, points }) => {
+        if (points > 0 && state.players.has(playerId)) {
+          state.players.get(playerId).score -= points;
+          buyer.score += points;
+        }
+      });
+      break;
+    }
+    case EVENT_TYPES.roundPhase:
+      state.round = { number: event.round, phase: event.phase, endsAt: event.endsAt };
+      break;
+    case EVENT_TYPES.reset:
+      state.players.forEach(player => { player.score = 0; });
+      state.total = 0;
+      break;
+    default:
+      break; // powerUpExpired, roundEnded: nothing to keep
+  }
+  return state;
+}
+
+// A copy that can be reduced further without touching `state`
+function cloneState(state) {
+  const players = new Map(Array.from(state.players, ([playerId, player]) => [playerId, { ...player }]));
+  return { players, total: state.total, round: state.round && { ...state.round } };
+}
+
+function reduceEvents(events, state = emptyState()) {
+  events.forEach(event => applyEvent(state, event));
+  return state;
+}
+
+// Top `limit` players of a state: [{playerId, username, score, rank}]
+function standings(state, limit) {
+  return Array.from(state.players.entries())
+    .map(([playerId, { username, score }]) => ({ playerId, username, score }))
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit)
+    .map((entry, i) => ({ ...entry, rank: i + 1 }));
+}
+
+// ---------------------------
+// Matches
+// ---------------------------
+// A match is one round from the start of its active phase to its results:
+// {round, state, events} where `state` is the room as the round started
+// (players and scores, reduced from everything earlier).
+
+// The last round a room finished, from its round state (see rounds.js)
+function lastFinishedRound(round) {
+  if (!round) return null;
+  if (round.phase === PHASES.results) return round.number;
+  return round.number > 1 ? round.number - 1 : null;
+}
+
+// ---------------------------
+// Log
+// ---------------------------
+// settings: config.events {enabled, ...}
+class EventLog {
+  constructor(store, settings) {
+    this.store = store;
+    this.settings = settings;
+  }
+
+  async append(room, type, fields, now) {
+    if (!this.settings.enabled) return null;
+    return this.store.appendEvent(room, { type, time: now, ...fields });
+  }
+
+  // Calls `visit` with every retained event of a room, oldest first. The
+  // log is read a page at a time and nothing is kept, so a long log costs
+  // time but not memory.
+  async forEachEvent(room, visit) {
+    let page;
+    let after = null;
+    do {
+      page = await this.store.readEvents(room, after);
+      page.forEach(visit);
+      if (page.length > 0) after = page[page.length - 1].id;
+    } while (page.length > 0);
+  }
+
+  // The match of `round`, or null if the log doesn't hold all of it. Only
+  // the round's own events are kept. A room that was closed and opened
+  // again numbers its rounds from 1 again; the latest such round wins.
+  async readMatch(room, round) {
+    const isPhase = (event, phase) =>
+      event.type === EVENT_TYPES.roundPhase && event.phase === phase && event.round === round;
+    const state = emptyState();
+    let current = null; // the round being read, once it has started
+    let match = null;
+    await this.forEachEvent(room, event => {
+      if (isPhase(event, PHASES.active)) current = { round, state: cloneState(state), events: [] };
+      if (current) current.events.push(event);
+      if (current && isPhase(event, PHASES.results)) {
+        match = current;
+        current = null;
+      }
+      applyEvent(state, event);
+    });
+    return match;
+  }
+
+  // Works the room's scores and counter out from its log and writes them
+  // back. Returns {players, total, restored}, or {skipped} when the log
+  // can't be trusted: logs are capped, and one that no longer reaches back
+  // to the room's creation or a reset would undercount what Redis holds.
+  async rebuildRoom(room) {
+    const state = emptyState();
+    let anchored = false;
+    await this.forEachEvent(room, event => {
+      if (event.type === EVENT_TYPES.created || event.type === EVENT_TYPES.reset) anchored = true;
+      applyEvent(state, event);
+    });
+    if (!anchored) return { skipped: 'log no longer reaches back to the room\'s creation or a reset' };
+
+    const scores = {};
+    state.players.forEach(({ score }, playerId) => { scores[playerId] = score; });
+    const restored = await this.store.restoreRoom(room, scores, state.total);
+    return { players: state.players.size, total: state.total, restored };
+  }
+}
+
+module.exports = {
+  EVENT_TYPES,
+  EventLog,
+  emptyState,
+  applyEvent,
+  cloneState,
+  reduceEvents,
+  standings,
+  lastFinishedRound
+};
@@ -0,0 +1,77 @@
+// server/heartbeat.js
+// Liveness and activity per connection. The server pings every socket each
+// `interval`; one that leaves `maxMissed` pings in a row unanswered is
+// dead and gets terminated, since a half-open TCP connection otherwise
+// lingers until the OS gives up on it. Each pong measures the round trip:
+// pings carry a sequence number that their pong echoes, so a late pong for
+// an earlier ping is dropped rather than timed against the newer one.
+//
+// Player statuses, shown next to names on the leaderboard:
+//   active - connected, and clicked or bought something within `idleAfter`
+//   idle   - connected, but hasn't done either for `idleAfter`
+//   away   - missed a ping, or disconnected and still in the grace period
+//
+// Uses real time, whatever clock the game runs on.
+
+const STATUSES = {
+  active: 'active',
+  idle: 'idle',
+  away: 'away'
+};
+
+// settings: config.heartbeat {interval, maxMissed, idleAfter}
+class Heartbeat {
+  constructor(settings, now = Date.now()) {
+    this.settings = settings;
+    this.pingSentAt = null; // null while no ping is outstanding
+    this.sequence = 0;      // number of the latest ping
+    this.missed = 0;        // pings in a row left unanswered
+    this.rtt = null;        // ms, from the last pong
+    this.lastAction = now;
+  }
+
+  // Called every interval just before pinging. Returns the payload to ping
+  // with, or null once the connection has missed too many pings and should
+  // be terminated.
+  beat(now) {
+    if (this.pingSentAt !== null) this.missed++;
+    if (this.missed >= this.settings.maxMissed) return null;
+    this.sequence++;
+    this.pingSentAt = now;
+    return String(this.sequence);
+  }
+
+  // `payload` is what the pong echoed. Returns the round trip in ms, or null
+  // for a pong that doesn't answer the latest ping (unasked for, or late).
+  pong(now, payload) {
+    if (this.pingSentAt === null || payload !== String(this.sequence)) return null;
+    this.rtt = now - this.pingSentAt;
+    this.pingSentAt = null;
+    this.missed = 0;
+    return this.rtt;
+  }
+
+  acted(now) {
+    this.lastAction = now;
+  }
+
+  status(now) {
+    if (this.missed > 0) return STATUSES.away;
+    return now - this.lastAction >= this.settings.idleAfter ? STATUSES.idle : STATUSES.active;
+  }
+}
+
+// Round trips across connections: {measured, average, p95, max} in ms,
+// null figures while nothing has been measured
+function summarizeRtts(rtts) {
+  if (rtts.length === 0) return { measured: 0, average: null, p95: null, max: null };
+  const sorted = rtts.slice().sort((a, b) => a - b);
+  return {
+    measured: sorted.length,
+    average: Math.round(sorted.reduce((sum, rtt) => sum + rtt, 0) / sorted.length),
+    p95: sorted[Math.min(sorted.length - 1, Math.ceil(sorted.length * 0.95) - 1)],
+    max: sorted[sorted.length - 1]
+  };
+}
+
+module.exports = { Heartbeat, STATUSES, summarizeRtts };
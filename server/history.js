@@ -0,0 +1,42 @@
+// server/history.js
+// Historical leaderboards that outlive sessions, rounds and rooms. Players
+// are tracked by username, on two boards:
+//   best     - highest score reached in a single session or round
+//   lifetime - every point earned (spending points doesn't take them back)
+// Each board is kept per day, per ISO week and for all time. Day and week
+// buckets use UTC and expire once nobody can ask for them anymore.
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const BOARDS = ['best', 'lifetime'];
+
+// period -> {bucket(now), ttl in ms or null to keep forever}
+const PERIODS = {
+  daily: { bucket: dayBucket, ttl: 2 * DAY },
+  weekly: { bucket: weekBucket, ttl: 8 * DAY },
+  allTime: { bucket: () => 'all', ttl: null }
+};
+
+// 2024-05-31
+function dayBucket(now) {
+  return new Date(now).toISOString().slice(0, 10);
+}
+
+// ISO week, e.g. 2024-W22. Weeks start on Monday and belong to the year
+// their Thursday falls in.
+function weekBucket(now) {
+  const date = new Date(now);
+  date.setUTCHours(0, 0, 0, 0);
+  date.setUTCDate(date.getUTCDate() + 4 - (date.getUTCDay() || 7));
+
+  const year = date.getUTCFullYear();
+  const week = Math.floor((date - Date.UTC(year, 0, 1)) / (7 * DAY)) + 1;
+  return `${year}-W${String(week).padStart(2, '0')}`;
+}
+
+// The current bucket of every period: [{period, bucket, ttl}]
+function currentBuckets(now = Date.now()) {
+  return Object.entries(PERIODS).map(([period, { bucket, ttl }]) => ({ period, bucket: bucket(now), ttl }));
+}
+
+module.exports = { BOARDS, PERIODS, currentBuckets };
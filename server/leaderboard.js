@@ -0,0 +1,85 @@
+// server/leaderboard.js
+// Helpers for the tick-based leaderboard. Instead of sending the full board
+// on every click, the server ticks every few hundred ms and sends the top-N
+// as a diff against the previous tick, plus each client's own rank.
+//
+// Entries are {playerId, username, score, rank} with rank starting at 1.
+
+// ---------------------------
+// Ranking
+// ---------------------------
+
+// Adds ranks to scores already sorted highest first
+function rankScores(scores) {
+  return scores.map((entry, i) => ({ ...entry, rank: i + 1 }));
+}
+
+// Entries around `index`, `radius` on each side
+function neighborhood(ranked, index, radius) {
+  return ranked.slice(Math.max(0, index - radius), index + radius + 1);
+}
+
+// ---------------------------
+// Diffing
+// ---------------------------
+
+// What changed between two top-N snapshots: entries that are new or whose
+// username, score or rank changed, and ids that dropped out.
+function diffEntries(previous, next) {
+  const previousById = new Map(previous.map(entry => [entry.playerId, entry]));
+  const nextIds = new Set(next.map(entry => entry.playerId));
+
+  const updated = next.filter(entry => {
+    const before = previousById.get(entry.playerId);
+    return !before ||
+      before.score !== entry.score ||
+      before.rank !== entry.rank ||
+      before.username !== entry.username;
+  });
+  const removed = previous
+    .filter(entry => !nextIds.has(entry.playerId))
+    .map(entry => entry.playerId);
+
+  return { updated, removed };
+}
+
+// ---------------------------
+// Username cache
+// ---------------------------
+// Each instance caches usernames instead of reading a hash per entry per
+// tick. A player who registers again can come back under a new name, so
+// every instance forgets them when that happens (the `rename` channel).
+class UsernameCache {
+  constructor(store) {
+    this.store = store;
+    this.names = new Map();
+  }
+
+  // Fills in `username` on each entry; entries whose player is gone are dropped
+  async attach(entries) {
+    const missing = entries.map(entry => entry.playerId).filter(id => !this.names.has(id));
+    if (missing.length > 0) {
+      const usernames = await this.store.getUsernames(missing);
+      missing.forEach((id, i) => {
+        if (usernames[i]) this.names.set(id, usernames[i]);
+      });
+    }
+
+    return entries
+      .filter(entry => this.names.has(entry.playerId))
+      .map(entry => ({ ...entry, username: this.names.get(entry.playerId) }));
+  }
+
+  forget(playerId) {
+    this.names.delete(playerId);
+  }
+
+  // Forgets players that are no longer on the leaderboard
+  prune(activeIds) {
+    this.names.forEach((name, id) => {
+      if (!activeIds.has(id)) this.names.delete(id);
+    });
+  }
+}
+
+module.exports = { rankScores, neighborhood, diffEntries, UsernameCache };
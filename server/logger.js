@@ -0,0 +1,43 @@
+// server/logger.js
+// Leveled, structured logs: one JSON object per line on stdout, e.g.
+//   {"time":"...","level":"info","msg":"Player registered","connectionId":"...","playerId":"..."}
+// child() loggers carry fields such as the connection and player id onto
+// every line they write.
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+// Error objects don't survive JSON.stringify
+function serialize(value) {
+  if (value instanceof Error) {
+    return { name: value.name, message: value.message, stack: value.stack };
+  }
+  return value;
+}
+
+class Logger {
+  constructor(level = 'info', fields = {}, write = line => process.stdout.write(`${line}\n`)) {
+    if (!LEVELS[level]) throw new Error(`Unknown log level: ${level}`);
+    this.level = level;
+    this.fields = fields;
+    this.write = write;
+  }
+
+  child(fields) {
+    return new Logger(this.level, { ...this.fields, ...fields }, this.write);
+  }
+
+  log(level, msg, extra = {}) {
+    if (LEVELS[level] < LEVELS[this.level]) return;
+
+    const entry = { time: new Date().toISOString(), level, msg, ...this.fields };
+    Object.entries(extra).forEach(([key, value]) => { entry[key] = serialize(value); });
+    this.write(JSON.stringify(entry));
+  }
+
+  debug(msg, extra) { this.log('debug', msg, extra); }
+  info(msg, extra) { this.log('info', msg, extra); }
+  warn(msg, extra) { this.log('warn', msg, extra); }
+  error(msg, extra) { this.log('error', msg, extra); }
+}
+
+module.exports = { Logger, LEVELS };
@@ -0,0 +1,193 @@
+// server/metrics.js
+// Counters, gauges and histograms exposed in the Prometheus text format
+// on GET /metrics. Every instance reports its own numbers; Prometheus
+// adds them up across instances.
+
+// Seconds; spans sub-millisecond handlers up to a stalled Redis
+const DEFAULT_BUCKETS = [0.0005, 0.001, 0.0025, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5];
+
+// ---------------------------
+// Helpers
+// ---------------------------
+const escapeLabel = value => String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+
+function formatLabels(labels) {
+  const pairs = Object.entries(labels).map(([name, value]) => `${name}="${escapeLabel(value)}"`);
+  return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+// Label values in declaration order, so {a, b} and {b, a} are one series
+function seriesKey(labelNames, labels) {
+  return JSON.stringify(labelNames.map(name => (labels[name] === undefined ? '' : String(labels[name]))));
+}
+
+function pickLabels(labelNames, labels) {
+  const picked = {};
+  labelNames.forEach(name => { picked[name] = labels[name] === undefined ? '' : labels[name]; });
+  return picked;
+}
+
+// ---------------------------
+// Metric types
+// ---------------------------
+class Counter {
+  constructor(name, help, labelNames = []) {
+    Object.assign(this, { name, help, labelNames, type: 'counter' });
+    this.series = new Map(); // key -> {labels, value}
+    if (labelNames.length === 0) this.inc({}, 0); // report 0 before the first event
+  }
+
+  inc(labels = {}, amount = 1) {
+    const key = seriesKey(this.labelNames, labels);
+    if (!this.series.has(key)) this.series.set(key, { labels: pickLabels(this.labelNames, labels), value: 0 });
+    this.series.get(key).value += amount;
+  }
+
+  lines() {
+    return Array.from(this.series.values(), ({ labels, value }) => `${this.name}${formatLabels(labels)} ${value}`);
+  }
+}
+
+// Read when scraped, for values the server already tracks elsewhere
+class Gauge {
+  constructor(name, help, collect) {
+    Object.assign(this, { name, help, collect, type: 'gauge' });
+  }
+
+  lines() {
+    return [`${this.name} ${this.collect()}`];
+  }
+}
+
+class Histogram {
+  constructor(name, help, labelNames = [], buckets = DEFAULT_BUCKETS) {
+    Object.assign(this, { name, help, labelNames, buckets, type: 'histogram' });
+    this.series = new Map(); // key -> {labels, counts per bucket, sum, count}
+    if (labelNames.length === 0) this.seriesFor({});
+  }
+
+  seriesFor(labels) {
+    const key = seriesKey(this.labelNames, labels);
+    if (!this.series.has(key)) {
+      this.series.set(key, {
+        labels: pickLabels(this.labelNames, labels),
+        counts: this.buckets.map(() => 0),
+        sum: 0,
+        count: 0
+      });
+    }
+    return this.series.get(key);
+  }
+
+  observe(labels, seconds) {
+    const series = this.seriesFor(labels);
+    this.buckets.forEach((bound, i) => {
+      if (seconds <= bound) series.counts[i]++;
+    });
+    series.sum += seconds;
+    series.count++;
+  }
+
+  // Returns a function that records the time elapsed since startTimer()
+  startTimer(labels = {}) {
+    const start = process.hrtime.bigint();
+    return () => this.observe(labels, Number(process.hrtime.bigint() - start) / 1e9);
+  }
+
+  lines() {
+    const lines = [];
+    this.series.forEach(({ labels, counts, sum, count }) => {
+      this.buckets.forEach((bound, i) => {
+        lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: bound })} ${counts[i]}`);
+      });
+      lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`);
+      lines.push(`${this.name}_sum${formatLabels(labels)} ${sum}`);
+      lines.push(`${this.name}_count${formatLabels(labels)} ${count}`);
+    });
+    return lines;
+  }
+}
+
+// ---------------------------
+// Registry
+// ---------------------------
+class Registry {
+  constructor() {
+    this.metrics = [];
+  }
+
+  register(metric) {
+    this.metrics.push(metric);
+    return metric;
+  }
+
+  counter(name, help, labelNames) {
+    return this.register(new Counter(name, help, labelNames));
+  }
+
+  gauge(name, help, collect) {
+    return this.register(new Gauge(name, help, collect));
+  }
+
+  histogram(name, help, labelNames, buckets) {
+    return this.register(new Histogram(name, help, labelNames, buckets));
+  }
+
+  // Text exposition format, version 0.0.4
+  render() {
+    const blocks = this.metrics.map(metric => [
+      `# HELP ${metric.name} ${metric.help}`,
+      `# TYPE ${metric.name} ${metric.type}`,
+      ...metric.lines()
+    ].join('\n'));
+    return `${blocks.join('\n')}\n`;
+  }
+}
+
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+// ---------------------------
+// Instrumentation
+// ---------------------------
+
+// Times every method call of a GameStore, labelled by method. A method can
+// make several Redis round trips or run a script, so this is how long each
+// store operation takes as the game sees it, not the latency of single
+// commands. Returns a proxy and leaves the store itself untouched; calls a
+// method makes to others on the store aren't timed separately.
+function instrumentStore(store, histogram) {
+  const proto = Object.getPrototypeOf(store);
+  const timed = new Map(); // method name -> timed wrapper
+  return new Proxy(store, {
+    get(target, name, receiver) {
+      if (typeof name !== 'string' || name === 'constructor' || typeof proto[name] !== 'function') {
+        return Reflect.get(target, name, receiver);
+      }
+      if (!timed.has(name)) {
+        timed.set(name, async (...args) => {
+          const done = histogram.startTimer({ operation: name });
+          try {
+            return await target[name](...args);
+          } finally {
+            done();
+          }
+        });
+      }
+      return timed.get(name);
+    }
+  });
+}
+
+// Samples how late a timer fires; a blocked event loop shows up as lag
+function monitorEventLoop(histogram, interval = 500) {
+  let expected = Date.now() + interval;
+  const timer = setInterval(() => {
+    const now = Date.now();
+    histogram.observe({}, Math.max(0, now - expected) / 1000);
+    expected = now + interval;
+  }, interval);
+  timer.unref();
+  return timer;
+}
+
+module.exports = { Registry, Counter, Gauge, Histogram, CONTENT_TYPE, instrumentStore, monitorEventLoop };
@@ -0,0 +1,288 @@
+// server/powerups.js
+// Power-up registry. Each entry declares its price, how long it lasts, how
+// soon it can be bought again and what buying it while active does, plus
+// effect hooks the game calls at fixed points:
+//   canActivate(ctx)  - before paying; return a refusal message to stop it
+//   onActivate(ctx)   - once when bought; may act on other players. Return a
+//                       refusal message if it couldn't, and the buyer is refunded
+//   onIncrement(ctx)  - on each click of a player it's active on
+//   onTaunt(ctx)      - when a taunt is about to reach a player it's active on
+//   onTargeted(ctx)   - when another player's power-up picks its holder
+// A new power-up is a new entry here; the message handlers only run hooks.
+//
+// Entries with `purchasable: false` are statuses other power-ups put on
+// players (e.g. `frozen`). Active power-ups and statuses share the
+// player's power-up hash in the store.
+
+const { ERROR_CODES } = require('./protocol');
+
+// What buying a timed power-up that's already active does
+const STACKING = {
+  refuse: 'refuse',   // not allowed until it runs out
+  extend: 'extend',   // adds another full duration to the time left
+  refresh: 'refresh'  // starts the duration over
+};
+
+// duration 0 means instant: nothing stays active after onActivate.
+// cooldown is ms after buying before the same player can buy it again.
+const POWER_UPS = {
+  doubleClick: {
+    label: 'Double',
+    icon: '⚡',
+    description: 'Double clicks for 10 seconds',
+    cost: 500,
+    duration: 10000,
+    cooldown: 0,
+    stacking: STACKING.refuse,
+    onIncrement(ctx) { ctx.multiplier *= 2; }
+  },
+  rapidFire: {
+    label: 'Rapid',
+    icon: '🔥',
+    description: 'Remove cooldown for 5 seconds',
+    cost: 750,
+    duration: 5000,
+    cooldown: 0,
+    stacking: STACKING.refuse,
+    onIncrement(ctx) { ctx.skipCooldown = true; }
+  },
+  shield: {
+    label: 'Shield',
+    icon: '🛡️',
+    description: 'Protect from taunts and attacks for 30 seconds',
+    cost: 300,
+    duration: 30000,
+    cooldown: 0,
+    stacking: STACKING.extend,
+    onTaunt(ctx) { ctx.blocked = true; },
+    onTargeted(ctx) { ctx.blocked = true; }
+  },
+  freezeLeader: {
+    label: 'Freeze',
+    icon: '❄️',
+    description: 'Freeze the room leader for 5 seconds',
+    cost: 1000,
+    duration: 0,
+    cooldown: 30000,
+    stacking: STACKING.refuse,
+    async canActivate(ctx) {
+      const target = await ctx.findLeader();
+      if (!target) return 'Nobody to freeze';
+      if (target.blocked) return `${target.username} is shielded`;
+      return null;
+    },
+    async onActivate(ctx) {
+      const target = await ctx.findLeader();
+      if (!target) return 'Nobody to freeze';
+      if (target.blocked) return `${target.username} is shielded`;
+      await ctx.applyStatus(target, 'frozen');
+      return null;
+    }
+  },
+  stealPoints: {
+    label: 'Steal',
+    icon: '🦝',
+    description: 'Steal 10% of the leader\'s points (up to 500)',
+    cost: 400,
+    duration: 0,
+    cooldown: 60000,
+    stacking: STACKING.refuse,
+    async canActivate(ctx) {
+      const target = await ctx.findLeader();
+      if (!target || target.score < 10) return 'Nobody worth stealing from';
+      if (target.blocked) return `${target.username} is shielded`;
+      return null;
+    },
+    async onActivate(ctx) {
+      const target = await ctx.findLeader();
+      if (!target) return 'Nobody worth stealing from';
+      if (target.blocked) return `${target.username} is shielded`;
+      // The leader may have been evicted or spent their points since
+      if (!(await ctx.takePoints(target, Math.min(500, Math.floor(target.score * 0.1))))) {
+        return `${target.username} has nothing left to steal`;
+      }
+      return null;
+    }
+  },
+  frozen: {
+    label: 'Frozen',
+    icon: '❄️',
+    description: 'Clicks are blocked',
+    purchasable: false,
+    duration: 5000,
+    stacking: STACKING.refresh,
+    onIncrement(ctx) { ctx.blocked = 'You are frozen'; }
+  }
+};
+
+// Built-in prices, overridable through config.powerUpCosts
+function defaultCosts() {
+  const costs = {};
+  Object.entries(POWER_UPS).forEach(([type, powerUp]) => {
+    if (powerUp.purchasable !== false) costs[type] = powerUp.cost;
+  });
+  return costs;
+}
+
+// ---------------------------
+// Engine
+// ---------------------------
+// Runs the registry's hooks against the store. `registry` defaults to
+// POWER_UPS; `costs` are the configured prices.
+class PowerUpEngine {
+  constructor(store, costs, registry = POWER_UPS) {
+    this.store = store;
+    this.costs = costs;
+    this.registry = registry;
+  }
+
+  isPurchasable(type) {
+    const powerUp = Object.prototype.hasOwnProperty.call(this.registry, type) && this.registry[type];
+    return Boolean(powerUp && powerUp.purchasable !== false);
+  }
+
+  // What clients need to draw the shop: [{type, label, icon, description, cost, duration, cooldown, stacking}]
+  catalogue() {
+    return Object.entries(this.registry)
+      .filter(([type]) => this.isPurchasable(type))
+      .map(([type, { label, icon, description, duration, cooldown, stacking }]) => ({
+        type, label, icon, description, cost: this.costs[type], duration, cooldown, stacking
+      }));
+  }
+
+  // Runs `hook` of every power-up active on a player with a fresh ctx
+  async runHooks(playerId, hook, ctx, now = Date.now()) {
+    const active = await this.store.getPowerUps(playerId, now);
+    Object.keys(active).forEach(type => {
+      const powerUp = this.registry[type];
+      if (powerUp && powerUp[hook]) powerUp[hook](ctx);
+    });
+    return { ...ctx, active: Object.keys(active) };
+  }
+
+  // {multiplier, skipCooldown, blocked (message or null), active (types)}
+  incrementEffects(playerId, now = Date.now()) {
+    return this.runHooks(playerId, 'onIncrement', { multiplier: 1, skipCooldown: false, blocked: null }, now);
+  }
+
+  async blocksTaunt(playerId, now = Date.now()) {
+    return (await this.runHooks(playerId, 'onTaunt', { blocked: false }, now)).blocked;
+  }
+
+  // buyer: {playerId, username, room, score}. Returns {refusal: [code, message]}
+  // or {score, duration, events} where events are what other players
+  // should hear about: [{target, status, duration, points}].
+  async purchase(buyer, type, now = Date.now()) {
+    if (!this.isPurchasable(type)) return { refusal: [ERROR_CODES.UNKNOWN_POWERUP, `Unknown power-up: ${type}`] };
+
+    const powerUp = this.registry[type];
+    const cost = this.costs[type];
+    const ctx = this.activationContext(buyer, type, now);
+
+    if (buyer.score < cost) return { refusal: [ERROR_CODES.INSUFFICIENT_SCORE, `${type} costs ${cost} points`] };
+
+    const active = await this.store.getPowerUps(buyer.playerId, now);
+    if (active[type] && powerUp.stacking === STACKING.refuse) {
+      return { refusal: [ERROR_CODES.POWERUP_ACTIVE, `${type} is already active`] };
+    }
+    if (powerUp.canActivate) {
+      const reason = await powerUp.canActivate(ctx);
+      if (reason) return { refusal: [ERROR_CODES.NO_TARGET, reason] };
+    }
+    if (powerUp.cooldown > 0 && !(await this.store.claimPowerUpCooldown(buyer.playerId, type, powerUp.cooldown, now))) {
+      return { refusal: [ERROR_CODES.POWERUP_COOLDOWN, `${type} can't be bought again yet`] };
+    }
+
+    // Deduct cost (refused if a concurrent purchase already spent it)
+    const score = await this.store.spendPoints(buyer.playerId, buyer.room, cost);
+    if (score === null) {
+      if (powerUp.cooldown > 0) await this.store.releasePowerUpCooldown(buyer.playerId, type);
+      return { refusal: [ERROR_CODES.INSUFFICIENT_SCORE, `${type} costs ${cost} points`] };
+    }
+    await this.store.appendAudit(buyer.playerId, { type: 'powerUp', delta: -cost, score, room: buyer.room, powerUp: type });
+
+    const failure = powerUp.onActivate ? await powerUp.onActivate(ctx) : null;
+    if (failure) return this.refund(buyer, type, cost, failure);
+
+    let duration = powerUp.duration;
+    if (duration > 0) {
+      const endTime = this.endTime(powerUp, active[type], now);
+      await this.store.setPowerUp(buyer.playerId, type, endTime);
+      duration = endTime - now;
+    }
+
+    return { score: ctx.score === null ? score : ctx.score, duration, events: ctx.events };
+  }
+
+  // Undoes a purchase whose onActivate found nothing to act on
+  async refund(buyer, type, cost, reason) {
+    const score = await this.store.refundPoints(buyer.playerId, buyer.room, cost);
+    if (this.registry[type].cooldown > 0) await this.store.releasePowerUpCooldown(buyer.playerId, type);
+    if (score !== null) {
+      await this.store.appendAudit(buyer.playerId, { type: 'powerUpRefund', delta: cost, score, room: buyer.room, powerUp: type });
+    }
+    return { refusal: [ERROR_CODES.NO_TARGET, reason] };
+  }
+
+  endTime(powerUp, current, now) {
+    if (current && powerUp.stacking === STACKING.extend) return current.endTime + powerUp.duration;
+    return now + powerUp.duration;
+  }
+
+  // What canActivate / onActivate get to work with
+  activationContext(buyer, type, now) {
+    const engine = this;
+    const store = this.store;
+    let leader;
+
+    const ctx = {
+      buyer,
+      now,
+      events: [],
+      score: null, // buyer's score after onActivate, if it changed it
+
+      // Highest-ranked other player in the buyer's room:
+      // {playerId, username, score, blocked} or null. `blocked` is set by
+      // the target's own power-ups (onTargeted), e.g. a shield.
+      async findLeader() {
+        if (leader !== undefined) return leader;
+        const [top] = (await store.getTopPlayers(buyer.room, 2)).filter(entry => entry.playerId !== buyer.playerId);
+        leader = top
+          ? { ...top, blocked: (await engine.runHooks(top.playerId, 'onTargeted', { blocked: false, by: buyer, powerUp: type }, now)).blocked }
+          : null;
+        return leader;
+      },
+
+      // Puts a status (a non-purchasable entry) on another player
+      async applyStatus(target, status) {
+        const statusDef = engine.registry[status];
+        const active = await store.getPowerUps(target.playerId, now);
+        const endTime = engine.endTime(statusDef, active[status], now);
+        await store.setPowerUp(target.playerId, status, endTime);
+        ctx.events.push({ target, status, duration: endTime - now, points: 0 });
+      },
+
+      // Moves `points` from the target to the buyer. Returns false if the
+      // target can't cover them or either player has been evicted.
+      async takePoints(target, points) {
+        const result = points > 0 ? await store.transferPoints(target.playerId, buyer.playerId, buyer.room, points) : null;
+        if (!result) return false;
+
+        await Promise.all([
+          store.appendAudit(target.playerId, {
+            type: 'powerUpEffect', delta: -points, score: result.from, room: buyer.room, powerUp: type, by: buyer.playerId
+          }),
+          store.appendAudit(buyer.playerId, {
+            type: 'powerUpEffect', delta: points, score: result.to, room: buyer.room, powerUp: type, target: target.playerId
+          })
+        ]);
+        ctx.score = result.to;
+        ctx.events.push({ target, status: null, duration: 0, points });
+        return true;
+      }
+    };
+    return ctx;
+  }
+}
+
+module.exports = { POWER_UPS, STACKING, PowerUpEngine, defaultCosts };
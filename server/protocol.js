@@ -0,0 +1,505 @@
+// server/protocol.js
+// The message contract between server and clients. Every message is a JSON
+// object with a `type`; the fields each type carries are declared below and
+// checked with validateMessage(). Clients announce the version they speak
+// with `hello` right after connecting; clients that skip it get version 1.
+//
+// Messages travel as JSON text frames, or in the binary format from
+// client/codec.js when the connection negotiated the binary subprotocol.
+
+const codec = require('../client/codec');
+const { BOARDS, PERIODS } = require('./history');
+const { SPEED_LIMITS } = require('./replay');
+
+const PROTOCOL_VERSION = 1;
+const SUPPORTED_VERSIONS = [1];
+
+// ---------------------------
+// Error codes sent in `error` replies and as `nack` reasons
+// ---------------------------
+const ERROR_CODES = {
+  MALFORMED_JSON: 'MALFORMED_JSON',           // message wasn't a JSON object
+  MALFORMED_BINARY: 'MALFORMED_BINARY',       // binary frame couldn't be decoded
+  UNKNOWN_TYPE: 'UNKNOWN_TYPE',               // no such client message type
+  INVALID_FIELD: 'INVALID_FIELD',             // missing or wrongly typed field
+  UNSUPPORTED_VERSION: 'UNSUPPORTED_VERSION', // `hello` asked for a version we don't speak
+  NOT_REGISTERED: 'NOT_REGISTERED',           // action needs `register` or `resume` first
+  INTERNAL_ERROR: 'INTERNAL_ERROR',           // server failed while handling the message
+  RATE_LIMITED: 'RATE_LIMITED',               // increment sent during cooldown
+  UNKNOWN_POWERUP: 'UNKNOWN_POWERUP',         // no such power-up
+  INSUFFICIENT_SCORE: 'INSUFFICIENT_SCORE',   // can't afford the power-up
+  POWERUP_ACTIVE: 'POWERUP_ACTIVE',           // that power-up is already running
+  POWERUP_COOLDOWN: 'POWERUP_COOLDOWN',       // that power-up was bought too recently
+  POWERUP_BLOCKED: 'POWERUP_BLOCKED',         // a power-up effect (e.g. frozen) blocks the action
+  NO_TARGET: 'NO_TARGET',                     // the power-up has nobody it can act on
+  INVALID_USERNAME: 'INVALID_USERNAME',       // register name breaks the username rules
+  USERNAME_TAKEN: 'USERNAME_TAKEN',           // another connected player has that name
+  ROOM_NOT_FOUND: 'ROOM_NOT_FOUND',           // register named a room that doesn't exist
+  ROOM_EXISTS: 'ROOM_EXISTS',                 // createRoom named a room that already exists
+  TOO_MANY_ROOMS: 'TOO_MANY_ROOMS',           // the server's room limit is reached
+  ROUND_NOT_ACTIVE: 'ROUND_NOT_ACTIVE',       // increment or buyPowerUp sent outside an active round
+  NO_REPLAY: 'NO_REPLAY',                     // no such round in the event log, or no replay running
+  ALREADY_REGISTERED: 'ALREADY_REGISTERED',   // resume sent by a connection that already has a player
+  SHUTTING_DOWN: 'SHUTTING_DOWN',             // the server is restarting; reconnect and resend
+  KICKED: 'KICKED'                            // removed for automated clicking; the socket closes
+};
+
+// ---------------------------
+// Field schemas
+// ---------------------------
+// Each field: {type, required, minLength, maxLength, pattern, min, max, enum}
+// `type` is 'string' | 'number' | 'integer' | 'boolean' | 'object' | 'array',
+// or a list of those.
+const str = (extra = {}) => ({ type: 'string', required: true, ...extra });
+const num = (extra = {}) => ({ type: 'number', required: true, ...extra });
+const int = (extra = {}) => ({ type: 'integer', required: true, ...extra });
+const optional = field => ({ ...field, required: false });
+const requestId = optional({ type: ['string', 'number'] });
+
+const ROOM_NAME_PATTERN = /^[A-Za-z0-9 _-]{1,24}$/;
+const roomName = str({ pattern: ROOM_NAME_PATTERN });
+
+// Hard cap; the configured rules in usernames.js are usually stricter
+const USERNAME_MAX_LENGTH = 32;
+
+// Client -> server. `requiresPlayer` rejects the message until the
+// connection has registered or resumed. `acknowledged` messages always get
+// an `ack` or `nack` reply echoing their requestId; failures of other
+// messages are reported with `error`.
+const CLIENT_MESSAGES = {
+  hello: {
+    fields: { version: int({ min: 1 }) }
+  },
+  register: {
+    acknowledged: true,
+    fields: {
+      username: str({ minLength: 1, maxLength: USERNAME_MAX_LENGTH }),
+      room: optional(roomName), // the default room if omitted
+      token: optional(str()),
+      requestId
+    }
+  },
+  listRooms: {
+    fields: { requestId }
+  },
+  createRoom: {
+    acknowledged: true,
+    fields: { room: roomName, requestId }
+  },
+  // Replays of finished rounds (see replay.js). `round` defaults to the
+  // room's last finished round.
+  watchReplay: {
+    requiresPlayer: true,
+    acknowledged: true,
+    fields: {
+      room: roomName,
+      round: optional(int({ min: 1 })),
+      speed: optional(num(SPEED_LIMITS)),
+      requestId
+    }
+  },
+  setReplaySpeed: {
+    fields: { speed: num(SPEED_LIMITS) }
+  },
+  stopReplay: {
+    fields: {}
+  },
+  // Historical boards; also available before registering
+  getHistory: {
+    fields: {
+      board: str({ enum: BOARDS }),
+      period: str({ enum: Object.keys(PERIODS) }),
+      requestId
+    }
+  },
+  resume: {
+    fields: { resumeToken: str({ maxLength: 64 }) }
+  },
+  increment: {
+    requiresPlayer: true,
+    acknowledged: true,
+    fields: { requestId }
+  },
+  buyPowerUp: {
+    requiresPlayer: true,
+    acknowledged: true,
+    fields: { powerUp: str({ maxLength: 32 }), requestId }
+  }
+};
+
+// Server -> client
+const SERVER_MESSAGES = {
+  welcome: {
+    fields: { version: int(), supportedVersions: { type: 'array', required: true } }
+  },
+  assignId: {
+    fields: { playerId: str(), resumeToken: str(), protocolVersion: int() }
+  },
+  // powerUps: [{type, label, icon, description, cost, duration, cooldown, stacking}]
+  // achievements: [{id, label, icon, description}]
+  gameConfig: {
+    fields: {
+      counterGoal: int(),
+      cooldown: int(),
+      powerUpCosts: { type: 'object', required: true },
+      powerUps: { type: 'array', required: true },
+      achievements: { type: 'array', required: true },
+      usernames: { type: 'object', required: true } // {minLength, maxLength}
+    }
+  },
+  role: {
+    fields: { role: str({ enum: ['player', 'demo', 'admin'] }), privileges: { type: 'object', required: true } }
+  },
+  resumed: {
+    fields: {
+      playerId: str(),
+      username: str(),
+      room: str(),
+      score: num(),
+      powerUps: { type: 'object', required: true }
+    }
+  },
+  resumeFailed: { fields: {} },
+  rooms: {
+    fields: { rooms: { type: 'array', required: true }, defaultRoom: str() } // rooms: [{name, players}]
+  },
+  totalCounter: {
+    fields: { total: num() }
+  },
+  // Entries are {playerId, username, score, rank}. `leaderboard` is the
+  // full top-N sent on join; ticks then send `leaderboardDelta` with only
+  // the entries that changed and the ids that dropped out.
+  leaderboard: {
+    fields: { leaderboard: { type: 'array', required: true }, totalPlayers: int() }
+  },
+  leaderboardDelta: {
+    fields: {
+      updated: { type: 'array', required: true },
+      removed: { type: 'array', required: true },
+      totalPlayers: int()
+    }
+  },
+  // The receiving player's own standing, sent when it changes
+  rank: {
+    fields: {
+      rank: int({ min: 1 }),
+      score: num(),
+      totalPlayers: int(),
+      neighbors: { type: 'array', required: true }
+    }
+  },
+  // Reply to getHistory. Entries are {username, score, rank}; `own` is the
+  // requesting player's {rank, score}, null if unregistered or not on the board.
+  // Boards are kept by name, so `own.rank` is how clients find themselves.
+  // `bucket` names the day (2024-05-31), ISO week (2024-W22) or `all`.
+  history: {
+    fields: {
+      board: str({ enum: BOARDS }),
+      period: str({ enum: Object.keys(PERIODS) }),
+      bucket: str(),
+      entries: { type: 'array', required: true },
+      own: { type: ['object', 'null'], required: true }
+    }
+  },
+  taunt: {
+    fields: { message: str() }
+  },
+  // Sent on join and whenever the room's round changes phase.
+  // `remaining` is ms left in the phase, so client clock skew doesn't matter.
+  roundState: {
+    fields: {
+      round: int({ min: 1 }),
+      phase: str({ enum: ['lobby', 'active', 'results'] }),
+      remaining: int({ min: 0 })
+    }
+  },
+  // Final standings: [{playerId, username, score, rank}]
+  roundEnded: {
+    fields: {
+      round: int({ min: 1 }),
+      reason: str({ enum: ['goal', 'time'] }),
+      winner: { type: ['object', 'null'], required: true },
+      standings: { type: 'array', required: true }
+    }
+  },
+  // One step of a replay: the counter and top-N standings after the events
+  // since the last frame. `elapsed` and `duration` are ms of the round;
+  // `clicks` counts the increments, `events` holds everything else.
+  replayFrame: {
+    fields: {
+      room: str(),
+      round: int({ min: 1 }),
+      elapsed: int({ min: 0 }),
+      duration: int({ min: 0 }),
+      total: num(),
+      leaderboard: { type: 'array', required: true },
+      clicks: int({ min: 0 }),
+      events: { type: 'array', required: true }
+    }
+  },
+  replayEnded: {
+    fields: { room: str(), round: int({ min: 1 }), reason: str({ enum: ['finished', 'stopped'] }) }
+  },
+  // Idle and away players in the room, {playerId: 'idle' | 'away'};
+  // anyone not listed is active. Sent on join and whenever it changes.
+  playerStatuses: {
+    fields: { statuses: { type: 'object', required: true } }
+  },
+  // Round trip of the server's last heartbeat ping to this client, in ms
+  latency: {
+    fields: { rtt: int({ min: 0 }) }
+  },
+  // The server is restarting: the socket closes with 1012 shortly after,
+  // and the client should wait `reconnectIn` ms before reconnecting
+  serverShutdown: {
+    fields: { reconnectIn: int({ min: 0 }) }
+  },
+  // Click cooldowns send it bare; message limits (see ratelimit.js) say
+  // which message type hit them, how far it escalated and how many ms to back off
+  rateLimited: {
+    fields: {
+      requestType: optional(str()),
+      level: optional(str({ enum: ['warning', 'mute', 'disconnect'] })),
+      retryAfter: optional(int({ min: 0 }))
+    }
+  },
+  multiplierGained: {
+    fields: { multiplier: num() }
+  },
+  powerUpActivated: {
+    fields: { powerUp: str(), duration: int() }
+  },
+  powerUpError: {
+    fields: { message: str() }
+  },
+  // Another player's power-up hit someone in the room. `status` is what was
+  // put on the target for `duration` ms (e.g. frozen), `points` what was
+  // taken from them. by / target: {playerId, username}
+  powerUpUsed: {
+    fields: {
+      powerUp: str(),
+      by: { type: 'object', required: true },
+      target: { type: 'object', required: true },
+      status: { type: ['string', 'null'], required: true },
+      duration: int({ min: 0 }),
+      points: int({ min: 0 })
+    }
+  },
+  // Achievements the player has unlocked so far, sent on register / resume:
+  // [{id, unlockedAt}]
+  achievements: {
+    fields: { unlocked: { type: 'array', required: true } }
+  },
+  // achievement: {id, label, icon, description}. Sent to its player, and to
+  // the whole room for announced ones.
+  achievementUnlocked: {
+    fields: { playerId: str(), username: str(), achievement: { type: 'object', required: true } }
+  },
+  ack: {
+    fields: {
+      requestId: { type: ['string', 'number', 'null'], required: true },
+      requestType: str(),
+      outcome: str({ enum: ['registered', 'applied', 'activated', 'created', 'replaying'] }),
+      serverTime: int(),
+      increment: optional(int()),   // increment: points actually added
+      multiplier: optional(num()),  // increment: multiplier before rounding
+      room: optional(str()),        // register, createRoom
+      username: optional(str()),    // register: the name as stored (trimmed)
+      score: optional(num()),       // player's score after the request
+      total: optional(num()),       // increment: room counter after the request
+      powerUp: optional(str()),     // buyPowerUp
+      duration: optional(int()),    // buyPowerUp; watchReplay: ms the round lasted
+      round: optional(int())        // watchReplay
+    }
+  },
+  nack: {
+    fields: {
+      requestId: { type: ['string', 'number', 'null'], required: true },
+      requestType: str(),
+      reason: str({ enum: Object.values(ERROR_CODES) }),
+      message: str(),
+      serverTime: int(),
+      retryAfter: optional(int({ min: 0 })) // RATE_LIMITED by a message limit: ms to back off
+    }
+  },
+  error: {
+    fields: {
+      code: str({ enum: Object.values(ERROR_CODES) }),
+      message: str(),
+      requestType: optional(str()),
+      field: optional(str()),
+      supportedVersions: optional({ type: 'array' })
+    }
+  }
+};
+
+// ---------------------------
+// Validation
+// ---------------------------
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  if (type === 'integer') return Number.isInteger(value);
+  if (type === 'number') return typeof value === 'number' && Number.isFinite(value);
+  return typeOf(value) === type;
+}
+
+function checkField(name, value, field) {
+  // null counts as omitted for optional fields (JSON keeps nulls it's given)
+  if (value === undefined || (value === null && !field.required)) {
+    return field.required ? `${name} is required` : null;
+  }
+
+  const types = [].concat(field.type);
+  if (!types.some(type => matchesType(value, type))) {
+    return `${name} must be ${types.join(' or ')} (got ${typeOf(value)})`;
+  }
+  if (field.enum && !field.enum.includes(value)) {
+    return `${name} must be one of ${field.enum.join(', ')}`;
+  }
+  if (typeof value === 'string') {
+    if (field.minLength !== undefined && value.length < field.minLength) return `${name} is too short`;
+    if (field.maxLength !== undefined && value.length > field.maxLength) return `${name} is too long`;
+    if (field.pattern && !field.pattern.test(value)) return `${name} has an invalid format`;
+  }
+  if (typeof value === 'number') {
+    if (field.min !== undefined && value < field.min) return `${name} must be at least ${field.min}`;
+    if (field.max !== undefined && value > field.max) return `${name} must be at most ${field.max}`;
+  }
+  return null;
+}
+
+// Returns null when valid, otherwise {code, message, field?}
+function validateMessage(schemas, data) {
+  if (typeOf(data) !== 'object') {
+    return { code: ERROR_CODES.MALFORMED_JSON, message: 'Message must be a JSON object' };
+  }
+
+  const schema = Object.prototype.hasOwnProperty.call(schemas, data.type) && schemas[data.type];
+  if (!schema) {
+    return { code: ERROR_CODES.UNKNOWN_TYPE, message: `Unknown message type: ${data.type}` };
+  }
+
+  for (const [name, field] of Object.entries(schema.fields)) {
+    const problem = checkField(name, data[name], field);
+    if (problem) return { code: ERROR_CODES.INVALID_FIELD, message: problem, field: name };
+  }
+  return null;
+}
+
+// ---------------------------
+// Wire encodings
+// ---------------------------
+const ENCODINGS = { json: 'json', binary: 'binary' };
+
+// Picks the encoding from the subprotocols a client offers; JSON unless
+// it asks for binary. Returns the subprotocol to accept, or false for none.
+function selectSubprotocol(offered) {
+  if (offered.has(codec.SUBPROTOCOLS.binary)) return codec.SUBPROTOCOLS.binary;
+  if (offered.has(codec.SUBPROTOCOLS.json)) return codec.SUBPROTOCOLS.json;
+  return false;
+}
+
+function encodingFor(subprotocol) {
+  return subprotocol === codec.SUBPROTOCOLS.binary ? ENCODINGS.binary : ENCODINGS.json;
+}
+
+function encodeMessage(data, encoding) {
+  return encoding === ENCODINGS.binary ? codec.encode(data) : JSON.stringify(data);
+}
+
+// Parses a raw frame and validates it as a client message. Binary frames
+// are accepted on any connection; text frames are always JSON.
+// Returns {data} on success or {error} with the reply to send.
+function parseClientMessage(raw, isBinary = false) {
+  let data;
+  if (isBinary) {
+    try {
+      data = codec.decode(raw);
+    } catch (err) {
+      return { error: { code: ERROR_CODES.MALFORMED_BINARY, message: 'Binary frame could not be decoded' } };
+    }
+  } else {
+    try {
+      data = JSON.parse(raw);
+    } catch (err) {
+      return { error: { code: ERROR_CODES.MALFORMED_JSON, message: 'Message is not valid JSON' } };
+    }
+  }
+
+  const error = validateMessage(CLIENT_MESSAGES, data);
+  if (error) return { error, data };
+
+  // Handlers only check optional fields against undefined
+  for (const [name, field] of Object.entries(CLIENT_MESSAGES[data.type].fields)) {
+    if (data[name] === null && !field.required) delete data[name];
+  }
+  return { data };
+}
+
+function errorMessage({ code, message, field }, requestType, extra = {}) {
+  const reply = { type: 'error', code, message, ...extra };
+  if (requestType !== undefined) reply.requestType = String(requestType);
+  if (field !== undefined) reply.field = field;
+  return reply;
+}
+
+// requestId as sent by the client, or null if missing or malformed
+function echoRequestId(data) {
+  const id = data && data.requestId;
+  return typeof id === 'string' || (typeof id === 'number' && Number.isFinite(id)) ? id : null;
+}
+
+function ackMessage(data, outcome, result = {}, now = Date.now()) {
+  return {
+    type: 'ack',
+    requestId: echoRequestId(data),
+    requestType: data.type,
+    outcome,
+    ...result,
+    serverTime: now
+  };
+}
+
+function nackMessage(data, { code, message, retryAfter }, now = Date.now()) {
+  const reply = {
+    type: 'nack',
+    requestId: echoRequestId(data),
+    requestType: data.type,
+    reason: code,
+    message,
+    serverTime: now
+  };
+  if (retryAfter !== undefined) reply.retryAfter = retryAfter;
+  return reply;
+}
+
+// Whether failures of this message are answered with `nack` instead of `error`
+function isAcknowledged(data) {
+  const schema = data && Object.prototype.hasOwnProperty.call(CLIENT_MESSAGES, data.type) && CLIENT_MESSAGES[data.type];
+  return Boolean(schema && schema.acknowledged);
+}
+
+module.exports = {
+  PROTOCOL_VERSION,
+  SUPPORTED_VERSIONS,
+  ERROR_CODES,
+  ROOM_NAME_PATTERN,
+  USERNAME_MAX_LENGTH,
+  CLIENT_MESSAGES,
+  SERVER_MESSAGES,
+  ENCODINGS,
+  validateMessage,
+  selectSubprotocol,
+  encodingFor,
+  encodeMessage,
+  parseClientMessage,
+  errorMessage,
+  ackMessage,
+  nackMessage,
+  isAcknowledged
+};
@@ -0,0 +1,62 @@
+// server/pubsub.js
+// Fans broadcasts out across every server instance through Redis pub/sub.
+// Instances never write to their sockets directly for shared events: they
+// publish, and every instance (including the publisher) relays what it
+// receives to its own clients.
+
+const { EventEmitter } = require('events');
+const { Logger } = require('./logger');
+
+// ---------------------------
+// Channels
+// ---------------------------
+const CHANNELS = {
+  broadcast: 'game:broadcast',  // message for every connected client
+  taunt: 'game:taunt',          // taunt, filtered per client by shields
+  achievement: 'game:achievement', // unlock, for its player or the whole room
+  rename: 'game:rename',        // player registered again, maybe under a new name
+  session: 'game:session'       // session resumed; other connections of its player let go
+};
+
+// Closes a Redis client after its pending commands, or drops it straight
+// away if it never got connected (its queued commands would never run)
+async function closeClient(client) {
+  if (!client.isOpen) return;
+  if (client.isReady) await client.close();
+  else client.destroy();
+}
+
+class PubSub extends EventEmitter {
+  constructor(client, logger = new Logger()) {
+    super();
+    this.logger = logger;
+    this.publisher = client;
+    this.subscriber = client.duplicate(); // subscribed connections can't run other commands
+    this.subscriber.on('error', (err) => this.logger.error('Redis subscriber error', { err }));
+  }
+
+  async start() {
+    await this.subscriber.connect();
+
+    await Promise.all(Object.entries(CHANNELS).map(([kind, channel]) =>
+      this.subscriber.subscribe(channel, (message) => {
+        try {
+          this.emit(kind, JSON.parse(message));
+        } catch (err) {
+          this.logger.error('Bad pub/sub message', { channel, err });
+        }
+      })
+    ));
+  }
+
+  // Safe whether or not start() got the subscriber connected
+  async stop() {
+    await closeClient(this.subscriber);
+  }
+
+  publish(kind, data) {
+    return this.publisher.publish(CHANNELS[kind], JSON.stringify(data));
+  }
+}
+
+module.exports = { PubSub, CHANNELS, closeClient };
@@ -0,0 +1,65 @@
+// server/random.js
+// Seeded randomness for game logic. The same seed gives the same rolls, so
+// tests and replays can predict exact multipliers and taunts. Without a
+// seed one is made up and logged at startup, so a run can still be repeated.
+//
+// stream(name) derives an independent generator. Giving each player their
+// own stream keeps their rolls the same no matter who else is clicking.
+
+// FNV-1a: turns a seed string into 32 bits of generator state
+function hashSeed(seed) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < seed.length; i++) {
+    hash ^= seed.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+// mulberry32: small and fast, plenty for game rolls (not for secrets)
+function mulberry32(state) {
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+class Random {
+  constructor(seed) {
+    this.seed = String(seed);
+    this.next = mulberry32(hashSeed(this.seed)); // float in [0, 1)
+  }
+
+  // True with probability `p`
+  chance(p) {
+    return this.next() < p;
+  }
+
+  // Float in [min, max)
+  between(min, max) {
+    return min + this.next() * (max - min);
+  }
+
+  pick(list) {
+    return list[Math.floor(this.next() * list.length)];
+  }
+
+  stream(name) {
+    return new Random(`${this.seed}/${name}`);
+  }
+}
+
+// The stream a player's click rolls come from
+function playerStream(random, playerId) {
+  return random.stream(`player:${playerId}`);
+}
+
+// `seed` null: pick one at random
+function createRandom(seed = null) {
+  return new Random(seed === null ? Math.random().toString(36).slice(2, 10) : seed);
+}
+
+module.exports = { Random, createRandom, playerStream };
@@ -0,0 +1,188 @@
+// server/ratelimit.js
+// Token-bucket limits on every client message, per connection and per IP,
+// plus caps on how many sockets one IP may hold and open. Each message
+// type has its own bucket: `burst` tokens, refilled at `perSecond`.
+// Messages that fail to parse or validate share the `invalid` bucket.
+//
+// Refusals escalate. Each one is a strike; strikes older than
+// `strikeWindow` are forgotten. Below `muteAfter` strikes the client is
+// warned; at `muteAfter` everything it sends is dropped for `muteDuration`;
+// at `disconnectAfter` the socket is closed. Every refusal says how many
+// ms to back off (`retryAfter`).
+//
+// State is in memory, so IP limits apply per server instance.
+
+const LEVELS = {
+  warning: 'warning',
+  mute: 'mute',
+  disconnect: 'disconnect'
+};
+
+// How often idle IP entries are dropped
+const PRUNE_INTERVAL = 60000;
+
+// ---------------------------
+// Token bucket
+// ---------------------------
+// limit: {burst, perSecond}
+class TokenBucket {
+  constructor({ burst, perSecond }, now) {
+    this.capacity = burst;
+    this.ratePerMs = perSecond / 1000;
+    this.tokens = burst;
+    this.updated = now;
+  }
+
+  refill(now) {
+    this.tokens = Math.min(this.capacity, this.tokens + (now - this.updated) * this.ratePerMs);
+    this.updated = now;
+  }
+
+  // Takes a token if there is one. Returns 0, or the ms until one is available.
+  take(now) {
+    this.refill(now);
+    if (this.tokens >= 1) {
+      this.tokens -= 1;
+      return 0;
+    }
+    return Math.ceil((1 - this.tokens) / this.ratePerMs);
+  }
+
+  isFull(now) {
+    this.refill(now);
+    return this.tokens >= this.capacity;
+  }
+}
+
+// Lazily created bucket per message type
+class BucketSet {
+  constructor(limitFor) {
+    this.limitFor = limitFor;
+    this.buckets = new Map();
+  }
+
+  take(type, now) {
+    if (!this.buckets.has(type)) this.buckets.set(type, new TokenBucket(this.limitFor(type), now));
+    return this.buckets.get(type).take(now);
+  }
+
+  isFull(now) {
+    return Array.from(this.buckets.values()).every(bucket => bucket.isFull(now));
+  }
+}
+
+// ---------------------------
+// Limiter
+// ---------------------------
+// settings: config.rateLimits
+class RateLimiter {
+  constructor(settings) {
+    this.settings = settings;
+    this.ips = new Map(); // ip -> {connections, connects, messages}
+    this.pruneTimer = setInterval(() => this.prune(Date.now()), PRUNE_INTERVAL);
+    this.pruneTimer.unref();
+  }
+
+  limitFor(type) {
+    const { messages } = this.settings;
+    return Object.prototype.hasOwnProperty.call(messages, type) ? messages[type] : messages.default;
+  }
+
+  // An IP's share of a message type: `ip.factor` connections' worth
+  ipLimitFor(type) {
+    const { burst, perSecond } = this.limitFor(type);
+    const { factor } = this.settings.ip;
+    return { burst: burst * factor, perSecond: perSecond * factor };
+  }
+
+  ipState(ip, now) {
+    if (!this.ips.has(ip)) {
+      this.ips.set(ip, {
+        connections: 0,
+        connects: new TokenBucket({ burst: this.settings.ip.connectBurst, perSecond: this.settings.ip.connectsPerSecond }, now),
+        messages: new BucketSet(type => this.ipLimitFor(type))
+      });
+    }
+    return this.ips.get(ip);
+  }
+
+  // Called for each new socket. Returns null if it may stay, otherwise
+  // {reason, retryAfter}; refused sockets don't count against the IP.
+  admit(ip, now = Date.now()) {
+    const state = this.ipState(ip, now);
+    if (state.connections >= this.settings.ip.maxConnections) {
+      return { reason: 'Too many connections from your address', retryAfter: this.settings.escalation.muteDuration };
+    }
+    const wait = state.connects.take(now);
+    if (wait > 0) return { reason: 'Connecting too often', retryAfter: wait };
+
+    state.connections++;
+    return null;
+  }
+
+  release(ip) {
+    const state = this.ips.get(ip);
+    if (state) state.connections = Math.max(0, state.connections - 1);
+  }
+
+  // Limits for one admitted connection
+  forConnection(ip) {
+    return new ConnectionLimits(this, ip);
+  }
+
+  // Forgets IPs with no sockets whose buckets have refilled
+  prune(now) {
+    this.ips.forEach((state, ip) => {
+      if (state.connections === 0 && state.connects.isFull(now) && state.messages.isFull(now)) this.ips.delete(ip);
+    });
+  }
+
+  stop() {
+    clearInterval(this.pruneTimer);
+  }
+}
+
+class ConnectionLimits {
+  constructor(limiter, ip) {
+    this.limiter = limiter;
+    this.ip = ip;
+    this.messages = new BucketSet(type => limiter.limitFor(type));
+    this.strikes = [];
+    this.mutedUntil = 0;
+  }
+
+  // Returns null if a message of `type` may be handled, otherwise
+  // {level, retryAfter, silent}. `silent` refusals (while muted) get no reply.
+  check(type, now = Date.now()) {
+    const { escalation } = this.limiter.settings;
+
+    if (now < this.mutedUntil) {
+      return this.strike(now) >= escalation.disconnectAfter
+        ? { level: LEVELS.disconnect, retryAfter: escalation.muteDuration, silent: false }
+        : { level: LEVELS.mute, retryAfter: this.mutedUntil - now, silent: true };
+    }
+
+    const wait = this.messages.take(type, now) || this.limiter.ipState(this.ip, now).messages.take(type, now);
+    if (wait === 0) return null;
+
+    const strikes = this.strike(now);
+    if (strikes >= escalation.disconnectAfter) {
+      return { level: LEVELS.disconnect, retryAfter: escalation.muteDuration, silent: false };
+    }
+    if (strikes >= escalation.muteAfter) {
+      this.mutedUntil = now + escalation.muteDuration;
+      return { level: LEVELS.mute, retryAfter: escalation.muteDuration, silent: false };
+    }
+    return { level: LEVELS.warning, retryAfter: wait, silent: false };
+  }
+
+  // Records a strike; returns how many are within the window
+  strike(now) {
+    const { strikeWindow } = this.limiter.settings.escalation;
+    this.strikes = this.strikes.filter(time => now - time < strikeWindow);
+    this.strikes.push(now);
+    return this.strikes.length;
+  }
+}
+
+module.exports = { RateLimiter, TokenBucket, LEVELS };
@@ -0,0 +1,99 @@
+// server/replay.js
+// Plays a finished round back to one spectator connection. The round's
+// events (see events.js) are re-applied on the original timeline, scaled by
+// `speed`, and the spectator gets a `replayFrame` with the counter and
+// standings whenever something happened. Clicks are only counted in the
+// frames; other events (power-ups, the round ending) are passed along.
+//
+// Pacing uses real time, whatever clock the game runs on.
+
+const { EVENT_TYPES, cloneState, applyEvent, standings } = require('./events');
+
+// At most one frame per this many real ms
+const FRAME_INTERVAL = 100;
+
+const SPEED_LIMITS = { min: 0.25, max: 16 };
+
+// settings: {room, speed, topN, send(message), onEnd(reason)}
+class Replay {
+  constructor(match, settings) {
+    this.match = match;
+    this.settings = settings;
+    this.speed = settings.speed;
+    this.state = null;
+    this.index = 0;
+    this.elapsed = 0;     // game ms since the round started
+    this.lastTick = null; // real ms of the previous tick
+    this.timer = null;
+  }
+
+  // Game ms from the start of the round to its results
+  get duration() {
+    const { events } = this.match;
+    return events[events.length - 1].time - events[0].time;
+  }
+
+  start() {
+    // Matches are cached and shared between spectators
+    this.state = cloneState(this.match.state);
+    this.lastTick = Date.now();
+    this.tick();
+  }
+
+  setSpeed(speed) {
+    this.advance();
+    this.speed = speed;
+  }
+
+  stop(reason = 'stopped') {
+    clearTimeout(this.timer);
+    this.timer = null;
+    this.settings.onEnd(reason);
+  }
+
+  // Moves the replay's game time on by the real time since the last tick
+  advance() {
+    const now = Date.now();
+    this.elapsed += (now - this.lastTick) * this.speed;
+    this.lastTick = now;
+  }
+
+  tick() {
+    this.advance();
+    const { events } = this.match;
+    const start = events[0].time;
+
+    const played = [];
+    while (this.index < events.length && events[this.index].time - start <= this.elapsed) {
+      played.push(events[this.index++]);
+    }
+    if (played.length > 0) this.sendFrame(played);
+
+    if (this.index >= events.length) {
+      this.stop('finished');
+      return;
+    }
+    this.timer = setTimeout(() => this.tick(), FRAME_INTERVAL);
+  }
+
+  sendFrame(played) {
+    played.forEach(event => applyEvent(this.state, event));
+
+    const { room, topN, send } = this.settings;
+    send({
+      type: 'replayFrame',
+      room,
+      round: this.match.round,
+      elapsed: Math.min(Math.round(this.elapsed), this.duration),
+      duration: this.duration,
+      total: this.state.total,
+      leaderboard: standings(this.state, topN),
+      clicks: played.filter(event => event.type === EVENT_TYPES.increment).length,
+      events: played
+        .filter(event => event.type !== EVENT_TYPES.increment)
+        .map(({ id, ...event }) => event)
+    });
+  }
+}
+
+module.exports = { Replay, SPEED_LIMITS, FRAME_INTERVAL };
@@ -0,0 +1,37 @@
+// server/roles.js
+// Server-granted roles. Privileges come only from a secret token checked
+// here; anything the client claims about itself (e.g. `demoMode`) is ignored.
+
+const crypto = require('crypto');
+
+// ---------------------------
+// Role definitions
+// ---------------------------
+const ROLES = {
+  player: { noCooldown: false, boostedMultiplier: false, admin: false },
+  demo:   { noCooldown: true,  boostedMultiplier: true,  admin: false },
+  admin:  { noCooldown: true,  boostedMultiplier: true,  admin: true }
+};
+
+const DEFAULT_ROLE = 'player';
+
+// Constant-time comparison so tokens can't be guessed byte by byte
+function tokenMatches(candidate, secret) {
+  if (!secret || typeof candidate !== 'string') return false;
+  const a = crypto.createHash('sha256').update(candidate).digest();
+  const b = crypto.createHash('sha256').update(secret).digest();
+  return crypto.timingSafeEqual(a, b);
+}
+
+// tokens: {admin: '<secret>', demo: '<secret>'}; unset roles can't be granted
+function resolveRole(token, tokens) {
+  if (tokenMatches(token, tokens.admin)) return 'admin';
+  if (tokenMatches(token, tokens.demo)) return 'demo';
+  return DEFAULT_ROLE;
+}
+
+function privilegesFor(role) {
+  return ROLES[role] || ROLES[DEFAULT_ROLE];
+}
+
+module.exports = { ROLES, DEFAULT_ROLE, resolveRole, privilegesFor };
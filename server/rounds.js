@@ -0,0 +1,101 @@
+// server/rounds.js
+// Round lifecycle of a room: a lobby countdown, an active phase that ends
+// when the counter goal or the time limit is reached, a results phase
+// showing the final standings, then scores reset and the next lobby starts.
+//
+// Round state lives in Redis so every instance agrees on it. Each instance
+// checks the clock, but a transition is a compare-and-set on that state, so
+// only the instance that performs it first moves the room on; the others
+// just relay the broadcasts.
+
+const PHASES = {
+  lobby: 'lobby',
+  active: 'active',
+  results: 'results'
+};
+
+class RoundManager {
+  // settings: {lobbyDuration, roundDuration, resultsDuration, counterGoal, standingsSize}
+  constructor(store, settings) {
+    this.store = store;
+    this.settings = settings;
+  }
+
+  // Current round of a room, opening the first lobby if it has none
+  async current(room, now = Date.now()) {
+    const round = await this.store.getRound(room);
+    if (round) return round;
+
+    const first = { number: 1, phase: PHASES.lobby, endsAt: now + this.settings.lobbyDuration };
+    if (await this.store.replaceRound(room, null, first)) return first;
+    return this.store.getRound(room);
+  }
+
+  // Moves the room on if its phase has run out. Returns {round, results?,
+  // reset?} when this instance performed the transition, otherwise null.
+  async advance(room, now = Date.now()) {
+    const round = await this.current(room, now);
+    if (now < round.endsAt) return null;
+
+    switch (round.phase) {
+      case PHASES.lobby: {
+        // Nobody to play with yet - keep counting down
+        if (await this.store.countPlayers(room) === 0) {
+          return this.enter(room, round, round.number, PHASES.lobby, this.settings.lobbyDuration, now, true);
+        }
+        return this.enter(room, round, round.number, PHASES.active, this.settings.roundDuration, now);
+      }
+      case PHASES.active:
+        return this.finish(room, round, 'time', now);
+      default: {
+        const next = await this.enter(room, round, round.number + 1, PHASES.lobby, this.settings.lobbyDuration, now);
+        if (!next) return null;
+        await this.store.resetScores(room, round.number);
+        return { ...next, reset: true };
+      }
+    }
+  }
+
+  // Ends the active round early once the counter reaches the goal.
+  // Returns {round, results} when this instance ended it, otherwise null.
+  async checkGoal(room, total, now = Date.now()) {
+    if (total < this.settings.counterGoal) return null;
+
+    const round = await this.current(room, now);
+    if (round.phase !== PHASES.active) return null;
+    return this.finish(room, round, 'goal', now);
+  }
+
+  // Standings are read once the round is over, so no click lands after them
+  async finish(room, round, reason, now) {
+    const next = await this.enter(room, round, round.number, PHASES.results, this.settings.resultsDuration, now);
+    if (!next) return null;
+
+    const standings = await this.store.getTopPlayers(room, this.settings.standingsSize);
+    const results = {
+      round: round.number,
+      reason,
+      winner: standings[0] || null,
+      standings: standings.map((entry, i) => ({ ...entry, rank: i + 1 }))
+    };
+    return { ...next, results };
+  }
+
+  // Moves the room from `round` into round `number`'s `phase`. Returns null
+  // if another instance moved it first. `quiet` transitions (an empty lobby
+  // restarting) aren't worth announcing.
+  async enter(room, round, number, phase, duration, now, quiet = false) {
+    const next = { number, phase, endsAt: now + duration };
+    if (!(await this.store.replaceRound(room, round, next))) return null;
+    return { round: next, quiet };
+  }
+}
+
+// Whether increments and purchases count: the active phase, until it runs
+// out. The phase change itself waits for the next round check, so the
+// time is checked too.
+function isPlayable(round, now) {
+  return round.phase === PHASES.active && now < round.endsAt;
+}
+
+module.exports = { RoundManager, PHASES, isPlayable };
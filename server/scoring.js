@@ -0,0 +1,47 @@
+// server/scoring.js
+// What one accepted click is worth. Pure functions of the player's state,
+// the time and a Random stream (see random.js), so a seeded stream gives
+// exact, repeatable scores.
+
+// Lucky 2x roll: ordinary players / demo and admin roles
+const LUCKY_CHANCE = 0.2;
+const BOOSTED_LUCKY_CHANCE = 0.5;
+
+// Clicks closer together than this keep a streak going
+const STREAK_WINDOW = 2000;
+
+// Every 10th click of a streak adds a bonus (bigger for demo/admin roles)
+const STREAK_STEP = 10;
+const STREAK_BONUS = 0.5;
+const BOOSTED_STREAK_BONUS = 1;
+
+// Chance that an accepted click makes the room leader taunt
+const TAUNT_CHANCE = 0.3;
+
+// player: {streak, lastClick}
+function nextStreak(player, now) {
+  return now - player.lastClick < STREAK_WINDOW ? player.streak + 1 : 1;
+}
+
+// base: the multiplier power-ups give; boosted: demo/admin role.
+// Returns {increment, multiplier, lucky, roleBonus, streakBonus}.
+// Draws from `random` in a fixed order: the lucky roll, then the role bonus.
+function scoreClick({ base, boosted, streak }, random) {
+  let multiplier = base;
+
+  const lucky = random.chance(boosted ? BOOSTED_LUCKY_CHANCE : LUCKY_CHANCE);
+  if (lucky) multiplier *= 2;
+
+  const roleBonus = boosted ? random.between(1, 2) : 1; // 1x to 2x extra for demo/admin
+  multiplier *= roleBonus;
+
+  let streakBonus = 0;
+  if (streak >= STREAK_STEP && streak % STREAK_STEP === 0) {
+    streakBonus = boosted ? BOOSTED_STREAK_BONUS : STREAK_BONUS;
+    multiplier += streakBonus;
+  }
+
+  return { increment: Math.floor(multiplier), multiplier, lucky, roleBonus, streakBonus };
+}
+
+module.exports = { scoreClick, nextStreak, TAUNT_CHANCE, STREAK_WINDOW };
@@ -0,0 +1,54 @@
+// server/snapshot.js
+// The game saved to a file when the server shuts down (see the shutdown
+// section of engine.js) and put back when it starts. Redis keeps the game
+// across restarts of the Node process on its own; the snapshot is for a
+// Redis that comes back empty, e.g. one without persistence restarted in
+// the same deploy. It's only restored into an empty store, so it never
+// overwrites a game that other instances kept playing.
+
+const fs = require('fs');
+const path = require('path');
+
+const SNAPSHOT_VERSION = 1;
+
+function summarize(snapshot) {
+  return {
+    takenAt: snapshot.takenAt,
+    rooms: snapshot.rooms.length,
+    players: snapshot.rooms.reduce((count, room) => count + room.players.length, 0)
+  };
+}
+
+// Written next to `file` and renamed over it, so a crash mid-write never
+// leaves half a snapshot. Returns {takenAt, rooms, players}.
+async function saveSnapshot(file, store, now) {
+  const snapshot = { version: SNAPSHOT_VERSION, takenAt: now, ...(await store.exportState()) };
+  const partial = `${file}.tmp`;
+  await fs.promises.mkdir(path.dirname(file), { recursive: true });
+  await fs.promises.writeFile(partial, JSON.stringify(snapshot));
+  await fs.promises.rename(partial, file);
+  return summarize(snapshot);
+}
+
+// Returns {restored: false, reason} or {restored: true, takenAt, rooms,
+// players, playerIds}
+async function restoreSnapshot(file, store) {
+  let snapshot;
+  try {
+    snapshot = JSON.parse(await fs.promises.readFile(file, 'utf8'));
+  } catch (err) {
+    if (err.code === 'ENOENT') return { restored: false, reason: 'no snapshot' };
+    throw err;
+  }
+
+  if (snapshot.version !== SNAPSHOT_VERSION) {
+    return { restored: false, reason: `unsupported snapshot version ${snapshot.version}` };
+  }
+  if (await store.hasState()) {
+    return { restored: false, reason: 'Redis still holds the game' };
+  }
+  const playerIds = await store.importState(snapshot);
+  return { restored: true, ...summarize(snapshot), playerIds };
+}
+
+module.exports = { saveSnapshot, restoreSnapshot, SNAPSHOT_VERSION };
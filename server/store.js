@@ -0,0 +1,718 @@
+// server/store.js
+// Redis-backed game state. Redis is the source of truth for players,
+// scores, counters and cooldowns so that a restart or crash of
+// the Node process does not wipe the game.
+//
+// Each room is an independent game with its own leaderboard and counter.
+// Players belong to exactly one room, recorded in their player hash.
+// Historical boards (see history.js) are global and keyed by username.
+//
+// Every change to a player's score is also appended to that player's audit
+// trail, a Redis stream that outlives the player so disputes can be looked
+// into after they leave.
+
+const { currentBuckets, PERIODS } = require('./history');
+const { usernameKey } = require('./usernames');
+const { STATUSES } = require('./heartbeat');
+
+// ---------------------------
+// Key layout
+// ---------------------------
+const KEYS = {
+  rooms: 'game:rooms',                                       // hash: room name -> created at (ms)
+  leaderboard: room => `game:room:${room}:leaderboard`,      // sorted set: playerId -> score
+  leaderboardVersion: room => `game:room:${room}:version`,   // string: bumped on every leaderboard change
+  totalCounter: room => `game:room:${room}:totalCounter`,    // string: atomic INCRBY counter
+  round: room => `game:room:${room}:round`,                  // hash: number, phase, endsAt
+  statuses: room => `game:room:${room}:statuses`,            // hash: playerId -> idle | away (active players aren't in it)
+  player: id => `game:player:${id}`,             // hash: username, role, room, streak, lastClick, sanction, shadowPoints
+  powerUps: id => `game:player:${id}:powerUps`,  // hash: powerUpType -> endTime
+  powerUpCooldown: (id, type) =>                 // string: ends at (ms), PX expiry
+    `game:player:${id}:powerUpCooldown:${type}`,
+  cooldown: id => `game:cooldown:${id}`,         // string: ends at (ms), PX expiry
+  usernames: 'game:usernames',                  // hash: lower-cased name -> playerId holding it
+  session: token => `game:session:${token}`,     // string: resumeToken -> playerId
+  presence: id => `game:presence:${id}`,         // string with PX expiry while connected
+  history: (board, period, bucket) =>            // sorted set: username -> points, PX expiry for day/week
+    `game:history:${board}:${period}:${bucket}`,
+  audit: id => `game:audit:${id}`,               // stream: score changes, capped and PX expiry
+  events: room => `game:room:${room}:events`,    // stream: the room's event log (see events.js), capped and PX expiry
+  achievements: id => `game:achievements:${id}`, // hash: achievement id -> unlocked at (ms)
+  flags: 'game:flags',                           // sorted set: playerId -> flagged at (ms)
+  flag: id => `game:flag:${id}`                  // hash: why a player was flagged (JSON values), PX expiry
+};
+
+// Starts a cooldown on `key` ending at now + ms unless one is running.
+// The stored end time lets the game clock (see clock.js) end it before Redis
+// expires the key, which only matters when that clock isn't real time. The
+// check and the write run as one script so two instances can't both claim.
+const CLAIM_SCRIPT = `
+local current = tonumber(redis.call('GET', KEYS[1]))
+if current and current > tonumber(ARGV[2]) then return 0 end
+redis.call('SET', KEYS[1], ARGV[1], 'PX', ARGV[3])
+return 1`;
+
+async function claimUntil(client, key, ms, now) {
+  const claimed = await client.eval(CLAIM_SCRIPT, {
+    keys: [key],
+    arguments: [String(now + ms), String(now), String(ms)]
+  });
+  return claimed === 1;
+}
+
+// Round compare-and-set (see replaceRound). ARGV: the expected number,
+// phase and endsAt (all empty when no round is expected), then the new ones.
+const REPLACE_ROUND_SCRIPT = `
+local current = redis.call('HMGET', KEYS[1], 'number', 'phase', 'endsAt')
+if ARGV[2] == '' then
+  if current[2] then return 0 end
+elseif current[1] ~= ARGV[1] or current[2] ~= ARGV[2] or current[3] ~= ARGV[3] then
+  return 0
+end
+redis.call('HSET', KEYS[1], 'number', ARGV[4], 'phase', ARGV[5], 'endsAt', ARGV[6])
+return 1`;
+
+// Adds an entry to a capped stream in a transaction. Entries are flat
+// objects; each value is stored as JSON so numbers and booleans come back
+// as they went in. settings: {maxEntries, retention}
+function queueStreamEntry(transaction, settings, key, entry) {
+  const fields = Object.fromEntries(Object.entries(entry).map(([field, value]) => [field, JSON.stringify(value)]));
+  return transaction
+    .xAdd(key, '*', fields, {
+      TRIM: { strategy: 'MAXLEN', strategyModifier: '~', threshold: settings.maxEntries }
+    })
+    .pExpire(key, settings.retention);
+}
+
+function queueAudit(transaction, settings, playerId, entry) {
+  return queueStreamEntry(transaction, settings, KEYS.audit(playerId), entry);
+}
+
+// Stream entry -> {id, ...entry}
+function parseStreamEntry({ id, message }) {
+  const entry = { id };
+  Object.entries(message).forEach(([field, value]) => { entry[field] = JSON.parse(value); });
+  return entry;
+}
+
+class GameStore {
+  // audit, events: {maxEntries, retention}
+  constructor(client, {
+    audit = { maxEntries: 1000, retention: 7 * 24 * 60 * 60 * 1000 },
+    events = { maxEntries: 100000, retention: 7 * 24 * 60 * 60 * 1000 }
+  } = {}) {
+    this.client = client;
+    this.audit = audit;
+    this.events = events;
+  }
+
+  // ---------------------------
+  // Players
+  // ---------------------------
+  async addPlayer(playerId, username, resumeToken, role, room) {
+    const transaction = this.client.multi()
+      .hSet(KEYS.player(playerId), { username, role, room, streak: 0, lastClick: 0, resumeToken })
+      .del(KEYS.powerUps(playerId))
+      .zAdd(KEYS.leaderboard(room), { score: 0, value: playerId })
+      .incr(KEYS.leaderboardVersion(room))
+      .set(KEYS.session(resumeToken), playerId);
+    queueAudit(transaction, this.audit, playerId, { type: 'register', delta: 0, score: 0, room, username });
+    await transaction.exec();
+  }
+
+  async getPlayer(playerId) {
+    const fields = await this.client.hGetAll(KEYS.player(playerId));
+    if (!fields || !fields.username || !fields.room) return null;
+
+    const score = await this.client.zScore(KEYS.leaderboard(fields.room), playerId);
+    if (score === null) return null;
+
+    return {
+      username: fields.username,
+      role: fields.role,
+      room: fields.room,
+      score,
+      streak: Number(fields.streak) || 0,
+      lastClick: Number(fields.lastClick) || 0,
+      sanction: fields.sanction || null,
+      shadowPoints: Number(fields.shadowPoints) || 0
+    };
+  }
+
+  // `room` is needed for players whose hash is already gone. The player's
+  // name claim is released unless it's `keepUsername` (re-registering under
+  // the same name); their achievements go unless they're re-registering.
+  async removePlayer(playerId, room, keepUsername = null) {
+    const fields = await this.client.hGetAll(KEYS.player(playerId));
+    room = (fields && fields.room) || room;
+    const score = await this.client.zScore(KEYS.leaderboard(room), playerId);
+
+    const transaction = this.client.multi();
+    if (fields && fields.resumeToken) transaction.del(KEYS.session(fields.resumeToken));
+    if (fields && fields.username) {
+      const key = usernameKey(fields.username);
+      const holder = await this.client.hGet(KEYS.usernames, key);
+      if (holder === playerId && (keepUsername === null || usernameKey(keepUsername) !== key)) {
+        transaction.hDel(KEYS.usernames, key);
+      }
+    }
+    if (score !== null) queueAudit(transaction, this.audit, playerId, { type: 'remove', delta: -score, score: 0, room });
+    if (keepUsername === null) transaction.del(KEYS.achievements(playerId));
+
+    await transaction
+      .del(KEYS.player(playerId))
+      .del(KEYS.presence(playerId))
+      .del(KEYS.powerUps(playerId))
+      .del(KEYS.cooldown(playerId))
+      .zRem(KEYS.leaderboard(room), playerId)
+      .hDel(KEYS.statuses(room), playerId)
+      .incr(KEYS.leaderboardVersion(room))
+      .exec();
+  }
+
+  // Reserves `username` for the player. Returns false if another player
+  // holds it; holding it already counts as success. Claims left behind by
+  // players whose hash is gone are taken over.
+  async claimUsername(username, playerId) {
+    const key = usernameKey(username);
+    if (await this.client.hSetNX(KEYS.usernames, key, playerId)) return true;
+
+    const holder = await this.client.hGet(KEYS.usernames, key);
+    if (holder === playerId) return true;
+    if (holder && (await this.client.exists(KEYS.player(holder)))) return false;
+    await this.client.hSet(KEYS.usernames, key, playerId);
+    return true;
+  }
+
+  async updateStreak(playerId, streak, lastClick) {
+    await this.client.hSet(KEYS.player(playerId), { streak, lastClick });
+  }
+
+  // ---------------------------
+  // Sessions and presence
+  // ---------------------------
+
+  // Player a resume token belongs to, or null once the player was evicted.
+  async resolveSession(resumeToken) {
+    const playerId = await this.client.get(KEYS.session(resumeToken));
+    if (!playerId) return null;
+    return (await this.getPlayer(playerId)) ? playerId : null;
+  }
+
+  // Keeps players marked present for another `ms`. Connected players are
+  // refreshed periodically; a disconnected one lapses after the grace period.
+  async touchPresence(playerIds, ms) {
+    if (playerIds.length === 0) return;
+    const transaction = this.client.multi();
+    playerIds.forEach(id => transaction.set(KEYS.presence(id), '1', { PX: ms }));
+    await transaction.exec();
+  }
+
+  // Players still on a room's leaderboard whose presence has lapsed:
+  // [{playerId, room}]
+  async findAbsentPlayers() {
+    const rooms = await this.getRoomNames();
+    const absent = await Promise.all(rooms.map(async room => {
+      const playerIds = await this.client.zRange(KEYS.leaderboard(room), 0, -1);
+      const present = await Promise.all(playerIds.map(id => this.client.exists(KEYS.presence(id))));
+      return playerIds
+        .filter((id, i) => present[i] === 0)
+        .map(playerId => ({ playerId, room }));
+    }));
+    return absent.flat();
+  }
+
+  // ---------------------------
+  // Rooms
+  // ---------------------------
+
+  // Returns false if a room with that name already exists.
+  async createRoom(room, now = Date.now()) {
+    return (await this.client.hSetNX(KEYS.rooms, room, String(now))) === 1;
+  }
+
+  async roomExists(room) {
+    return Boolean(await this.client.hExists(KEYS.rooms, room));
+  }
+
+  // When the room was created (ms), or null if it doesn't exist
+  async getRoomCreatedAt(room) {
+    const createdAt = await this.client.hGet(KEYS.rooms, room);
+    return createdAt === null || createdAt === undefined ? null : Number(createdAt);
+  }
+
+  async countRooms() {
+    return this.client.hLen(KEYS.rooms);
+  }
+
+  async getRoomNames() {
+    return Object.keys(await this.client.hGetAll(KEYS.rooms) || {});
+  }
+
+  // [{name, players}], busiest first
+  async listRooms() {
+    const names = await this.getRoomNames();
+    const counts = await Promise.all(names.map(room => this.client.zCard(KEYS.leaderboard(room))));
+    return names
+      .map((name, i) => ({ name, players: Number(counts[i]) }))
+      .sort((a, b) => b.players - a.players || a.name.localeCompare(b.name));
+  }
+
+  // Deletes rooms nobody is in, except `keep` and rooms created after
+  // `createdBefore` (so a new room survives until its creator joins).
+  async removeEmptyRooms(keep, createdBefore) {
+    const rooms = await this.client.hGetAll(KEYS.rooms) || {};
+    const candidates = Object.entries(rooms)
+      .filter(([room, createdAt]) => room !== keep && Number(createdAt) < createdBefore)
+      .map(([room]) => room);
+    const counts = await Promise.all(candidates.map(room => this.client.zCard(KEYS.leaderboard(room))));
+    const empty = candidates.filter((room, i) => Number(counts[i]) === 0);
+
+    await Promise.all(empty.map(room => this.client.multi()
+      .hDel(KEYS.rooms, room)
+      .del(KEYS.leaderboard(room))
+      .del(KEYS.leaderboardVersion(room))
+      .del(KEYS.totalCounter(room))
+      .del(KEYS.round(room))
+      .del(KEYS.statuses(room))
+      .exec()));
+    return empty;
+  }
+
+  async countPlayers(room) {
+    return Number(await this.client.zCard(KEYS.leaderboard(room)));
+  }
+
+  // ---------------------------
+  // Player statuses
+  // ---------------------------
+  // Idle and away players (see heartbeat.js); everyone else is active.
+  // A change bumps the room's version so the next tick sends it.
+  async setPlayerStatus(room, playerId, status) {
+    const transaction = this.client.multi();
+    if (status === STATUSES.active) {
+      transaction.hDel(KEYS.statuses(room), playerId);
+    } else {
+      transaction.hSet(KEYS.statuses(room), playerId, status);
+    }
+    await transaction.incr(KEYS.leaderboardVersion(room)).exec();
+  }
+
+  // {playerId: status} for the room's idle and away players
+  async getPlayerStatuses(room) {
+    return await this.client.hGetAll(KEYS.statuses(room)) || {};
+  }
+
+  async getPlayerStatus(room, playerId) {
+    return (await this.client.hGet(KEYS.statuses(room), playerId)) || STATUSES.active;
+  }
+
+  // ---------------------------
+  // Rounds
+  // ---------------------------
+  async getRound(room) {
+    const fields = await this.client.hGetAll(KEYS.round(room));
+    if (!fields || !fields.phase) return null;
+    return { number: Number(fields.number), phase: fields.phase, endsAt: Number(fields.endsAt) };
+  }
+
+  // Writes `next` if the room's round is still `expected` (null: the room
+  // has none yet), checked and written in one script so only one instance
+  // performs a transition. Returns false if another instance got there first.
+  async replaceRound(room, expected, { number, phase, endsAt }) {
+    const from = expected ? [expected.number, expected.phase, expected.endsAt].map(String) : ['', '', ''];
+    const replaced = await this.client.eval(REPLACE_ROUND_SCRIPT, {
+      keys: [KEYS.round(room)],
+      arguments: [...from, String(number), phase, String(endsAt)]
+    });
+    return replaced === 1;
+  }
+
+  // Sets every player in the room back to 0 and zeroes its counter.
+  // `round` is the round that just ended, for the audit trail.
+  async resetScores(room, round) {
+    const scores = await this.getRankedScores(room);
+    const transaction = this.client.multi();
+    if (scores.length > 0) {
+      // XX: players evicted meanwhile must not be re-added
+      transaction.zAdd(KEYS.leaderboard(room), scores.map(({ playerId }) => ({ score: 0, value: playerId })), { condition: 'XX' });
+    }
+    scores.forEach(({ playerId, score }) => {
+      queueAudit(transaction, this.audit, playerId, { type: 'reset', delta: -score, score: 0, room, round });
+      transaction.hDel(KEYS.player(playerId), 'shadowPoints');
+    });
+    await transaction
+      .set(KEYS.totalCounter(room), 0)
+      .incr(KEYS.leaderboardVersion(room))
+      .exec();
+  }
+
+  // ---------------------------
+  // Scores and room counter
+  // ---------------------------
+
+  // Adds to the player's score and the room's counter in one transaction.
+  async addPoints(playerId, room, amount) {
+    const [score, total] = await this.client.multi()
+      .zIncrBy(KEYS.leaderboard(room), amount, playerId)
+      .incrBy(KEYS.totalCounter(room), amount)
+      .incr(KEYS.leaderboardVersion(room))
+      .exec();
+    return { score: Number(score), total: Number(total) };
+  }
+
+  // Deducts `cost` from the player's score. The deduction is applied first
+  // and refunded if it overdrew, so concurrent purchases can never leave a
+  // negative balance. Returns the new score, or null if it was refused or
+  // the player is no longer on the leaderboard.
+  async spendPoints(playerId, room, cost) {
+    const score = await this.adjustScore(playerId, room, -cost);
+    if (score === null) return null;
+    if (score < 0) {
+      await this.adjustScore(playerId, room, cost);
+      return null;
+    }
+    await this.client.incr(KEYS.leaderboardVersion(room));
+    return score;
+  }
+
+  // Gives points back, e.g. for a power-up that found nothing to act on.
+  // Returns the new score, or null if the player has been evicted.
+  async refundPoints(playerId, room, amount) {
+    const score = await this.adjustScore(playerId, room, amount);
+    if (score !== null) await this.client.incr(KEYS.leaderboardVersion(room));
+    return score;
+  }
+
+  // Moves `amount` from one player to another without touching the room
+  // counter. Returns both new scores, or null if `fromId` can't afford it
+  // or either player has been evicted.
+  async transferPoints(fromId, toId, room, amount) {
+    const from = await this.spendPoints(fromId, room, amount);
+    if (from === null) return null;
+    const to = await this.adjustScore(toId, room, amount);
+    if (to === null) {
+      await this.refundPoints(fromId, room, amount);
+      return null;
+    }
+    await this.client.incr(KEYS.leaderboardVersion(room));
+    return { from, to };
+  }
+
+  // ZADD XX INCR: only players still on the board, so a score change racing
+  // an eviction never puts the player back. Returns the new score or null.
+  adjustScore(playerId, room, amount) {
+    return this.client.zAddIncr(KEYS.leaderboard(room), { score: amount, value: playerId }, { condition: 'XX' });
+  }
+
+  async getTotalCounter(room) {
+    return Number(await this.client.get(KEYS.totalCounter(room))) || 0;
+  }
+
+  // Changes whenever a score, the counter or the set of players in the
+  // room changes, so ticks can skip work when nothing happened.
+  async getLeaderboardVersion(room) {
+    return Number(await this.client.get(KEYS.leaderboardVersion(room))) || 0;
+  }
+
+  // Every player's score in the room, highest first: [{playerId, score}]
+  async getRankedScores(room) {
+    const entries = await this.client.zRangeWithScores(KEYS.leaderboard(room), 0, -1, { REV: true });
+    return entries.map(entry => ({ playerId: entry.value, score: entry.score }));
+  }
+
+  // Top `limit` players in the room with usernames, highest score first.
+  async getTopPlayers(room, limit) {
+    const entries = await this.client.zRangeWithScores(KEYS.leaderboard(room), 0, limit - 1, { REV: true });
+    const usernames = await this.getUsernames(entries.map(entry => entry.value));
+
+    return entries
+      .map((entry, i) => ({ playerId: entry.value, username: usernames[i], score: entry.score }))
+      .filter(entry => entry.username);
+  }
+
+  // 1-based rank of a player in their room, or null if not on the board
+  async getPlayerRank(playerId, room) {
+    const index = await this.client.zRevRank(KEYS.leaderboard(room), playerId);
+    return index === null ? null : index + 1;
+  }
+
+  async getUsernames(playerIds) {
+    return Promise.all(playerIds.map(id => this.client.hGet(KEYS.player(id), 'username')));
+  }
+
+  // ---------------------------
+  // Audit trail
+  // ---------------------------
+  // Entries: {type, delta, score, room, ...details}. `type` is register,
+  // increment, powerUp, powerUpRefund, powerUpEffect, flag, reset or
+  // remove; `score` is the score afterwards (flags don't change it and
+  // carry none).
+
+  async appendAudit(playerId, entry) {
+    await queueAudit(this.client.multi(), this.audit, playerId, entry).exec();
+  }
+
+  // Newest first: [{id, time, ...entry}]. `before` is an entry id to page
+  // back from (exclusive).
+  async getAudit(playerId, limit, before = null) {
+    const end = before ? `(${before}` : '+';
+    const entries = await this.client.xRevRange(KEYS.audit(playerId), end, '-', { COUNT: limit });
+
+    return entries.map(entry => {
+      const { id, ...fields } = parseStreamEntry(entry);
+      return { id, time: Number(id.split('-')[0]), ...fields };
+    });
+  }
+
+  // ---------------------------
+  // Event log
+  // ---------------------------
+  // One ordered stream per room; events carry their own game `time`.
+  async appendEvent(room, event) {
+    const [id] = await queueStreamEntry(this.client.multi(), this.events, KEYS.events(room), event).exec();
+    return id;
+  }
+
+  // Oldest first: [{id, ...event}], starting after entry id `after`
+  async readEvents(room, after = null, limit = 1000) {
+    const start = after ? `(${after}` : '-';
+    const entries = await this.client.xRange(KEYS.events(room), start, '+', { COUNT: limit });
+    return entries.map(parseStreamEntry);
+  }
+
+  // Puts back scores and the counter worked out from the event log.
+  // Only players whose record still exists are put back on the board.
+  async restoreRoom(room, scores, total) {
+    const ids = Object.keys(scores);
+    const present = await Promise.all(ids.map(id => this.client.exists(KEYS.player(id))));
+    const members = ids
+      .filter((id, i) => present[i])
+      .map(id => ({ score: scores[id], value: id }));
+
+    const transaction = this.client.multi();
+    if (members.length > 0) transaction.zAdd(KEYS.leaderboard(room), members);
+    await transaction
+      .set(KEYS.totalCounter(room), total)
+      .incr(KEYS.leaderboardVersion(room))
+      .exec();
+    return members.length;
+  }
+
+  // ---------------------------
+  // Snapshots
+  // ---------------------------
+  // The live game as plain data, for saving on shutdown (see snapshot.js):
+  // {rooms: [{name, createdAt, total, round, players}]} where players are
+  // [{playerId, score, fields, powerUps, achievements}] and `fields` is the
+  // raw player hash. Historical boards, audit trails and event logs aren't
+  // part of it.
+  async exportState() {
+    const rooms = await this.client.hGetAll(KEYS.rooms) || {};
+    return {
+      rooms: await Promise.all(Object.entries(rooms).map(async ([name, createdAt]) => {
+        const [scores, total, round] = await Promise.all([
+          this.getRankedScores(name),
+          this.getTotalCounter(name),
+          this.getRound(name)
+        ]);
+        const players = await Promise.all(scores.map(async ({ playerId, score }) => {
+          const [fields, powerUps] = await Promise.all([
+            this.client.hGetAll(KEYS.player(playerId)),
+            this.client.hGetAll(KEYS.powerUps(playerId))
+          ]);
+          if (!fields || !fields.username) return null; // removed meanwhile
+          const achievements = await this.getAchievements(playerId);
+          return { playerId, score, fields, powerUps: powerUps || {}, achievements };
+        }));
+        return { name, createdAt: Number(createdAt), total, round, players: players.filter(Boolean) };
+      }))
+    };
+  }
+
+  // Whether Redis holds a game at all (the default room always exists once
+  // a server has started against it)
+  async hasState() {
+    return Boolean(await this.client.exists(KEYS.rooms));
+  }
+
+  // Writes an exported state back, with the players' sessions and name
+  // claims. Meant for an empty store (see hasState). Returns the ids of
+  // the players put back.
+  async importState({ rooms }) {
+    const transaction = this.client.multi();
+    const playerIds = [];
+    rooms.forEach(({ name, createdAt, total, round, players }) => {
+      transaction
+        .hSet(KEYS.rooms, name, String(createdAt))
+        .set(KEYS.totalCounter(name), total)
+        .incr(KEYS.leaderboardVersion(name));
+      if (round) transaction.hSet(KEYS.round(name), round);
+
+      players.forEach(({ playerId, score, fields, powerUps, achievements }) => {
+        transaction
+          .hSet(KEYS.player(playerId), fields)
+          .zAdd(KEYS.leaderboard(name), { score, value: playerId })
+          .hSet(KEYS.usernames, usernameKey(fields.username), playerId)
+          .hSet(KEYS.statuses(name), playerId, STATUSES.away); // nobody is connected yet
+        if (fields.resumeToken) transaction.set(KEYS.session(fields.resumeToken), playerId);
+        if (Object.keys(powerUps).length > 0) transaction.hSet(KEYS.powerUps(playerId), powerUps);
+        Object.entries(achievements).forEach(([id, unlockedAt]) => {
+          transaction.hSetNX(KEYS.achievements(playerId), id, String(unlockedAt));
+        });
+        playerIds.push(playerId);
+      });
+    });
+    await transaction.exec();
+    return playerIds;
+  }
+
+  // ---------------------------
+  // Bot flags
+  // ---------------------------
+  // Records why a player was flagged and the sanction they got, which
+  // sticks to the player for the rest of their session. flag:
+  // {username, room, reasons, stats, sanction}. Kept for `retention` ms.
+  async flagPlayer(playerId, flag, retention, now = Date.now()) {
+    const key = KEYS.flag(playerId);
+    const fields = Object.fromEntries(Object.entries({ ...flag, flaggedAt: now }).map(([field, value]) => [field, JSON.stringify(value)]));
+    const transaction = this.client.multi()
+      .hSet(key, fields)
+      .pExpire(key, retention)
+      .zAdd(KEYS.flags, { score: now, value: playerId })
+      .hSet(KEYS.player(playerId), 'sanction', flag.sanction);
+    queueAudit(transaction, this.audit, playerId, {
+      type: 'flag', delta: 0, room: flag.room, reasons: flag.reasons, sanction: flag.sanction
+    });
+    await transaction.exec();
+  }
+
+  // Most recently flagged first: [{playerId, username, room, reasons, stats, sanction, flaggedAt}].
+  // Flags past their retention are dropped from the index on read.
+  async getFlags(limit) {
+    const ids = await this.client.zRange(KEYS.flags, 0, limit - 1, { REV: true });
+    const raw = await Promise.all(ids.map(id => this.client.hGetAll(KEYS.flag(id))));
+
+    const expired = ids.filter((id, i) => !raw[i] || Object.keys(raw[i]).length === 0);
+    if (expired.length > 0) await this.client.zRem(KEYS.flags, expired);
+
+    return ids
+      .map((playerId, i) => ({ playerId, fields: raw[i] }))
+      .filter(({ fields }) => fields && Object.keys(fields).length > 0)
+      .map(({ playerId, fields }) => {
+        const flag = { playerId };
+        Object.entries(fields).forEach(([field, value]) => { flag[field] = JSON.parse(value); });
+        return flag;
+      });
+  }
+
+  // Points a shadowed player thinks they earned; returns the new total
+  async addShadowPoints(playerId, points) {
+    return Number(await this.client.hIncrBy(KEYS.player(playerId), 'shadowPoints', points));
+  }
+
+  // ---------------------------
+  // Historical leaderboards
+  // ---------------------------
+
+  // Records points a player just earned and the score they reached, on
+  // every period's boards. `best` only ever goes up (ZADD GT).
+  async recordHistory(username, earned, score, now = Date.now()) {
+    const transaction = this.client.multi();
+    currentBuckets(now).forEach(({ period, bucket, ttl }) => {
+      const lifetime = KEYS.history('lifetime', period, bucket);
+      const best = KEYS.history('best', period, bucket);
+      transaction
+        .zIncrBy(lifetime, earned, username)
+        .zAdd(best, { score, value: username }, { comparison: 'GT' });
+      if (ttl) transaction.pExpire(lifetime, ttl).pExpire(best, ttl);
+    });
+    await transaction.exec();
+  }
+
+  // Top `limit` of a board in the current bucket of `period`, plus the
+  // standing of `username` if given and on the board:
+  // {bucket, entries: [{username, score, rank}], own: {rank, score} | null}
+  async getHistory(board, period, limit, username, now = Date.now()) {
+    const bucket = PERIODS[period].bucket(now);
+    const key = KEYS.history(board, period, bucket);
+    const [entries, index, score] = await Promise.all([
+      this.client.zRangeWithScores(key, 0, limit - 1, { REV: true }),
+      username ? this.client.zRevRank(key, username) : null,
+      username ? this.client.zScore(key, username) : null
+    ]);
+
+    return {
+      bucket,
+      entries: entries.map((entry, i) => ({ username: entry.value, score: entry.score, rank: i + 1 })),
+      own: index === null || score === null ? null : { rank: index + 1, score }
+    };
+  }
+
+  // ---------------------------
+  // Achievements
+  // ---------------------------
+  // {achievementId: unlockedAt} for a player
+  async getAchievements(playerId) {
+    const raw = await this.client.hGetAll(KEYS.achievements(playerId));
+    return Object.fromEntries(Object.entries(raw || {}).map(([id, unlockedAt]) => [id, Number(unlockedAt)]));
+  }
+
+  // HSETNX: true only for the call that unlocked it
+  async unlockAchievement(playerId, id, now = Date.now()) {
+    return Boolean(await this.client.hSetNX(KEYS.achievements(playerId), id, String(now)));
+  }
+
+  // ---------------------------
+  // Cooldowns
+  // ---------------------------
+  // Starts a cooldown unless one is already running.
+  // Returns false when the player is still cooling down.
+  async claimCooldown(playerId, ms, now = Date.now()) {
+    return claimUntil(this.client, KEYS.cooldown(playerId), ms, now);
+  }
+
+  async setCooldown(playerId, ms, now = Date.now()) {
+    await this.client.set(KEYS.cooldown(playerId), String(now + ms), { PX: ms });
+  }
+
+  // ---------------------------
+  // Power-ups
+  // ---------------------------
+
+  // Active power-ups as {type: {endTime}}. Expired entries are pruned on read.
+  async getPowerUps(playerId, now = Date.now()) {
+    const raw = await this.client.hGetAll(KEYS.powerUps(playerId));
+    const active = {};
+    const expired = [];
+
+    Object.entries(raw || {}).forEach(([type, endTime]) => {
+      if (now < Number(endTime)) {
+        active[type] = { endTime: Number(endTime) };
+      } else {
+        expired.push(type);
+      }
+    });
+
+    if (expired.length > 0) {
+      await this.client.hDel(KEYS.powerUps(playerId), expired);
+    }
+    return active;
+  }
+
+  async setPowerUp(playerId, type, endTime) {
+    await this.client.hSet(KEYS.powerUps(playerId), type, endTime);
+  }
+
+  // Starts a power-up's re-buy cooldown unless one is running.
+  // Returns false while the player still has to wait.
+  async claimPowerUpCooldown(playerId, type, ms, now = Date.now()) {
+    return claimUntil(this.client, KEYS.powerUpCooldown(playerId, type), ms, now);
+  }
+
+  async releasePowerUpCooldown(playerId, type) {
+    await this.client.del(KEYS.powerUpCooldown(playerId, type));
+  }
+}
+
+module.exports = { GameStore, KEYS };
@@ -0,0 +1,98 @@
+// server/usernames.js
+// Rules for the names players register under. Names are trimmed and runs
+// of spaces collapsed, then checked for length, charset, reserved names and
+// profanity. Uniqueness is case-insensitive: "Ace" and "ace" are the same
+// name, and only one connected player can hold it (see store.claimUsername).
+//
+// Reserved names are compared with the whole name after folding case,
+// dropping separators and undoing common digit/symbol swaps, so "4dm1n"
+// and "a_d-m.i.n" are caught too. Blocked words only match whole words of
+// the name, folded the same way, so "Scunthorpe" and "Nazir" are fine while
+// "big_sh1t" and "BigShit" aren't. Config can add to either list.
+
+// Letters and digits, with single spaces, _ . or - between them
+const USERNAME_PATTERN = /^[A-Za-z0-9](?:[A-Za-z0-9 _.-]*[A-Za-z0-9])?$/;
+
+// Names that would pass for the game or its staff
+const RESERVED = [
+  'admin', 'administrator', 'moderator', 'mod', 'staff', 'support',
+  'server', 'system', 'root', 'bot', 'you', 'anonymous', 'null', 'undefined'
+];
+
+// Matched against each word of the name, alone or with a suffix below
+const BLOCKED = [
+  'fuck', 'shit', 'cunt', 'bitch', 'whore', 'slut', 'asshole', 'bastard', 'wanker', 'nazi'
+];
+
+const BLOCKED_SUFFIXES = ['', 's', 'es', 'er', 'ers', 'ing', 'ed'];
+
+const SWAPS = { 0: 'o', 1: 'i', 3: 'e', 4: 'a', 5: 's', 7: 't', 8: 'b' };
+
+// The claim key: one per name regardless of case
+function usernameKey(username) {
+  return username.toLowerCase();
+}
+
+// Lower case, separators dropped, digit swaps undone
+function fold(username) {
+  return username
+    .toLowerCase()
+    .replace(/[ _.-]/g, '')
+    .replace(/[0-9]/g, digit => SWAPS[digit] || digit);
+}
+
+// The name's words, folded. Words are split at separators, and at
+// camelCase humps when `humps` is set; runs of single characters
+// ("s.h.i.t") are joined back into one word.
+function words(username, humps) {
+  const split = humps ? username.replace(/([a-z])([A-Z])/g, '$1 $2') : username;
+  const result = [];
+  let letters = '';
+  split.split(/[ _.-]+/).forEach(part => {
+    if (part.length === 1) {
+      letters += part;
+      return;
+    }
+    if (letters) result.push(letters);
+    letters = '';
+    result.push(part);
+  });
+  if (letters) result.push(letters);
+  return result.map(fold);
+}
+
+// Splitting at humps and not both count, so "ShIt" can't hide in its humps
+function containsBlocked(username, blocked) {
+  return [false, true].some(humps => words(username, humps).some(word =>
+    blocked.some(bad => BLOCKED_SUFFIXES.some(suffix => word === bad + suffix))));
+}
+
+// ---------------------------
+// Checks
+// ---------------------------
+// settings: config.usernames {minLength, maxLength, reserved, blocked}
+// Returns {username} with the cleaned-up name, or {problem} saying what's wrong.
+function checkUsername(raw, settings) {
+  const username = raw.trim().replace(/ {2,}/g, ' ');
+  const { minLength, maxLength } = settings;
+
+  if (username.length < minLength || username.length > maxLength) {
+    return { problem: `Names are ${minLength}-${maxLength} characters long` };
+  }
+  if (!USERNAME_PATTERN.test(username)) {
+    return { problem: 'Names use letters and digits, with spaces, _ . or - between them' };
+  }
+
+  const folded = fold(username);
+  const reserved = RESERVED.concat(settings.reserved).map(fold);
+  if (reserved.includes(folded)) {
+    return { problem: `${username} is reserved` };
+  }
+  const blocked = BLOCKED.concat(settings.blocked).map(fold);
+  if (containsBlocked(username, blocked)) {
+    return { problem: 'That name isn\'t allowed' };
+  }
+  return { username };
+}
+
+module.exports = { checkUsername, usernameKey, USERNAME_PATTERN };